@@ -0,0 +1,114 @@
+// admin.js
+// Session cookie, listing filters and CSV export for the /admin area
+
+import { hash } from "./crypto.js";
+import { readCookie } from "./http.js";
+import { createSignedToken, verifySignedToken } from "./tokens.js";
+
+export const SESSION_COOKIE = "admin_session";
+
+// Admin sessions last 12 hours
+export const SESSION_TTL = 12 * 60 * 60;
+
+// Maximum rows returned as JSON; CSV exports are not limited
+const PAGE_LIMIT = 500;
+
+// --------------------
+// Session
+// --------------------
+
+// Compare the submitted password with ADMIN_PASSWORD without leaking timing
+export async function checkAdminPassword(env, password) {
+  if (!env.ADMIN_PASSWORD || !password) return false;
+  const [a, b] = await Promise.all([hash(password), hash(env.ADMIN_PASSWORD)]);
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+export async function createSessionCookie(env) {
+  const token = await createSignedToken(env.ADMIN_SESSION_SECRET, { purpose: "admin-session" }, SESSION_TTL);
+  return `${SESSION_COOKIE}=${token}; Path=/admin; Max-Age=${SESSION_TTL}; HttpOnly; Secure; SameSite=Strict`;
+}
+
+export function clearSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/admin; Max-Age=0; HttpOnly; Secure; SameSite=Strict`;
+}
+
+// True when the request carries a valid, unexpired admin session cookie
+export async function hasValidSession(request, env) {
+  const token = readCookie(request, SESSION_COOKIE);
+  if (!token) return false;
+  const { valid } = await verifySignedToken(env.ADMIN_SESSION_SECRET, token, "admin-session");
+  return valid;
+}
+
+// --------------------
+// Listing helpers
+// --------------------
+
+// Build a WHERE clause from ?q=&status=&from=&to= query parameters
+// searchColumns are matched with LIKE; from/to (YYYY-MM-DD) filter created_at
+export function buildListFilters(url, { searchColumns, statuses }) {
+  const params = url.searchParams;
+  const clauses = [];
+  const bindings = [];
+
+  const q = (params.get("q") || "").trim();
+  if (q) {
+    clauses.push(`(${searchColumns.map(column => `${column} LIKE ?`).join(" OR ")})`);
+    searchColumns.forEach(() => bindings.push(`%${q}%`));
+  }
+
+  const status = params.get("status");
+  if (status && statuses.includes(status)) {
+    clauses.push("status = ?");
+    bindings.push(status);
+  }
+
+  const from = params.get("from");
+  if (/^\d{4}-\d{2}-\d{2}$/.test(from || "")) {
+    clauses.push("created_at >= ?");
+    bindings.push(from);
+  }
+
+  const to = params.get("to");
+  if (/^\d{4}-\d{2}-\d{2}$/.test(to || "")) {
+    // Inclusive end date
+    clauses.push("created_at < date(?, '+1 day')");
+    bindings.push(to);
+  }
+
+  const isCsv = params.get("format") === "csv";
+  return {
+    where: clauses.length ? `WHERE ${clauses.join(" AND ")}` : "",
+    bindings,
+    isCsv,
+    limit: isCsv ? "" : `LIMIT ${PAGE_LIMIT}`,
+  };
+}
+
+// --------------------
+// CSV export
+// --------------------
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let str = String(value);
+  // Neutralise spreadsheet formulas
+  if (/^[=+\-@]/.test(str)) str = "'" + str;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function csvResponse(filename, columns, rows) {
+  const lines = [columns.map(csvCell).join(",")];
+  for (const row of rows) lines.push(columns.map(column => csvCell(row[column])).join(","));
+
+  return new Response(lines.join("\r\n") + "\r\n", {
+    status: 200,
+    headers: {
+      "Content-Type": "text/csv; charset=UTF-8",
+      "Content-Disposition": `attachment; filename="${filename}"`
+    }
+  });
+}
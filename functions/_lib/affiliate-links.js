@@ -0,0 +1,289 @@
+// affiliate-links.js
+// Server-side resolution of affiliate links from amazonLinks.json
+//
+// amazonLinks.json maps a product key ("home", "product/leash", "amzn", ...) to its variants:
+//   "amazon": "https://amzn.to/...",                 web link (a variant)
+//   "amazon_deeplink_ios": "com.amazon.mobile...",   optional app link for iOS
+//   "amazon_deeplink_android": "intent://...",       optional app link for Android
+//   "_local": { "amazon": { "co.uk": "B0..." } }     optional links in other Amazon marketplaces
+//   "_split": { "amazon": 70, "aliexpress": 30 }     optional weighted split test between variants
+// Keys starting with "_" are settings, never products or variants. "_marketplaces" lists the Amazon
+// stores ({ "co.uk": { "host": "www.amazon.co.uk", "tag": "...", "countries": ["GB", "IE"] } }); a local
+// link is either a full URL or an ASIN, which is linked on the marketplace's host with its tag.
+// The map is bundled into the Function at build time, so visitors never have to download it.
+
+import { escapeHtml, htmlPage, readCookie } from "./http.js";
+import amazonLinks from "../../amazonLinks.json" with { type: "json" };
+
+const DEEPLINK_SUFFIXES = ["_deeplink_ios", "_deeplink_android"];
+
+// Link preview bots get the Open Graph page instead of a redirect
+const CRAWLER_PATTERN = /facebookexternalhit|facebot|twitterbot|linkedinbot|slackbot|discordbot|whatsapp|telegrambot|pinterest|redditbot|applebot|skypeuripreview|embedly|iframely|vkshare|bingpreview|google-inspectiontool/i;
+
+// How long the deep link page waits for the app to open before falling back to the web link
+const DEEPLINK_FALLBACK_MS = 1500;
+
+// Visitors keep their split test arm for 30 days
+const SPLIT_COOKIE_PREFIX = "aff_split_";
+const SPLIT_COOKIE_MAX_AGE = 30 * 24 * 60 * 60;
+
+const marketplaces = amazonLinks._marketplaces || {};
+
+// --------------------
+// Link data
+// --------------------
+
+export function isReservedKey(key) {
+  return key.startsWith("_");
+}
+
+export function getProductLinks(productKey) {
+  if (isReservedKey(productKey)) return null;
+  return Object.prototype.hasOwnProperty.call(amazonLinks, productKey) ? amazonLinks[productKey] : null;
+}
+
+// Variant keys of a product (web links only, no deep link entries or settings)
+export function getVariantKeys(productLinks) {
+  return Object.keys(productLinks).filter(
+    key => typeof productLinks[key] === "string" && !isReservedKey(key) && !DEEPLINK_SUFFIXES.some(suffix => key.endsWith(suffix))
+  );
+}
+
+// Case-insensitive variant lookup; unknown variants fall back to the first one, like the old client-side redirect
+export function findVariant(productLinks, variant) {
+  const keys = getVariantKeys(productLinks);
+  const wanted = (variant || "").toLowerCase();
+  return keys.find(key => key.toLowerCase() === wanted) || keys[0] || null;
+}
+
+// Split /go/<productKey>/<variant> path segments using the longest matching product key
+export function resolvePath(segments) {
+  for (let i = segments.length; i > 0; i--) {
+    const productKey = segments.slice(0, i).join("/");
+    if (getProductLinks(productKey)) {
+      return { productKey, variant: segments[i] || null };
+    }
+  }
+  return { productKey: segments.join("/"), variant: null };
+}
+
+// Site page for a product key, used when no variant is given
+export function productPageUrl(productKey) {
+  return productKey === "home" ? "/" : `/${productKey}/`;
+}
+
+// Retailer a variant sends visitors to, for click reports
+// "amazon"/"aliexpress" variants and every amzn link are retailers; "extralinkN" are social/other links
+export function retailerFor(productKey, variantKey) {
+  if (productKey === "amzn") return "amazon";
+  const match = variantKey.toLowerCase().match(/^(amazon|aliexpress|extralink)/);
+  return match ? match[1] : "other";
+}
+
+// --------------------
+// Amazon marketplaces
+// --------------------
+
+// Visitor's country: Cloudflare's geolocation, or the region of their preferred language (e.g. "en-GB")
+export function visitorCountry(request) {
+  const geo = ((request.cf && request.cf.country) || request.headers.get("CF-IPCountry") || "").toUpperCase();
+  // XX = unknown, T1 = Tor
+  if (/^[A-Z]{2}$/.test(geo) && geo !== "XX" && geo !== "T1") return geo;
+
+  const locale = (request.headers.get("Accept-Language") || "").match(/\b[a-z]{2,3}-([a-z]{2})\b/i);
+  return locale ? locale[1].toUpperCase() : null;
+}
+
+// `settings` is a "_marketplaces" object; defaults to the bundled map's
+export function marketplaceForCountry(country, settings = marketplaces) {
+  if (!country) return null;
+  const id = Object.keys(settings).find(key => (settings[key].countries || []).includes(country));
+  return id ? { id, ...settings[id] } : null;
+}
+
+// Link to a variant in the visitor's marketplace, or null when there is none (the default link is used)
+// Marketplaces without an associate tag are skipped too: an untagged local link would earn nothing,
+// while the default link at least carries our amazon.com tag
+export function localizedUrl(productLinks, variantKey, country, settings = marketplaces) {
+  const marketplace = marketplaceForCountry(country, settings);
+  const local = productLinks._local && productLinks._local[variantKey];
+  const value = marketplace && marketplace.tag && local && local[marketplace.id];
+  if (!value) return null;
+
+  if (/^https:\/\//.test(value)) return value;
+  const url = new URL(`https://${marketplace.host}/dp/${encodeURIComponent(value)}`);
+  url.searchParams.set("tag", marketplace.tag);
+  return url.href;
+}
+
+// --------------------
+// Split tests
+// --------------------
+
+// Arms of a product's "_split" rule as [{ variant, weight }], or null without one
+// Arms must be variants of the product; arms weighted 0 are paused
+export function getSplitArms(productLinks) {
+  const split = productLinks._split;
+  if (!split || typeof split !== "object") return null;
+
+  const variants = getVariantKeys(productLinks);
+  const arms = Object.entries(split)
+    .filter(([variant, weight]) => variants.includes(variant) && Number(weight) > 0)
+    .map(([variant, weight]) => ({ variant, weight: Number(weight) }));
+  return arms.length ? arms : null;
+}
+
+// Weighted random arm; `random` is in [0, 1)
+export function pickArm(arms, random = Math.random()) {
+  const total = arms.reduce((sum, arm) => sum + arm.weight, 0);
+  let point = random * total;
+  for (const arm of arms) {
+    point -= arm.weight;
+    if (point < 0) return arm.variant;
+  }
+  return arms[arms.length - 1].variant;
+}
+
+function splitCookieName(productKey) {
+  return SPLIT_COOKIE_PREFIX + productKey.replace(/[^a-z0-9]/gi, "_");
+}
+
+// Arm for this visitor: the one in their cookie while it is still an arm, otherwise a new pick
+// Returns { arm, cookie } where cookie is the Set-Cookie value to send (null when unchanged)
+function assignArm(request, productKey, arms) {
+  const name = splitCookieName(productKey);
+  const assigned = readCookie(request, name);
+  if (arms.some(arm => arm.variant === assigned)) {
+    return { arm: assigned, cookie: null };
+  }
+
+  const arm = pickArm(arms);
+  return {
+    arm,
+    cookie: `${name}=${arm}; Path=/; Max-Age=${SPLIT_COOKIE_MAX_AGE}; HttpOnly; Secure; SameSite=Lax`
+  };
+}
+
+// Static Open Graph preview generated by scripts/generate-affilliate-links.js
+export function previewAssetPath(productKey, variant) {
+  if (productKey === "amzn") return variant ? `/affiliate/amzn/${variant}` : null;
+  return `/affiliate/${productKey.replace(/^product\//, "")}`;
+}
+
+// --------------------
+// Request handling
+// --------------------
+
+export function isCrawler(userAgent) {
+  return CRAWLER_PATTERN.test(userAgent || "");
+}
+
+function detectPlatform(userAgent) {
+  if (/iPhone|iPad|iPod/i.test(userAgent)) return "ios";
+  if (/Android/i.test(userAgent)) return "android";
+  return "desktop";
+}
+
+// Store one row in affiliate_clicks (see migrations/0009_affiliate_clicks.sql)
+// `arm` is the split test arm the visitor was assigned to (see migrations/0010_affiliate_click_arms.sql)
+async function recordClick(env, request, { productKey, variantKey, platform, arm }) {
+  const referrer = request.headers.get("Referer");
+  const country = (request.cf && request.cf.country) || request.headers.get("CF-IPCountry");
+  await env.DB.prepare(
+    `INSERT INTO affiliate_clicks (product_key, variant, retailer, platform, referrer, country, arm)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  ).bind(
+    productKey,
+    variantKey,
+    retailerFor(productKey, variantKey),
+    platform,
+    referrer ? referrer.slice(0, 500) : null,
+    country || null,
+    arm || null
+  ).run();
+}
+
+function redirect(location) {
+  return new Response(null, {
+    status: 302,
+    headers: {
+      "Location": location,
+      "Cache-Control": "private, no-store",
+      "Referrer-Policy": "no-referrer-when-downgrade",
+      "X-Robots-Tag": "noindex, nofollow"
+    }
+  });
+}
+
+// Try the app first, then fall back to the web link (straight away without JavaScript)
+function deepLinkPage(deepLink, webUrl) {
+  const script = JSON.stringify({ deepLink, webUrl }).replace(/</g, "\\u003c");
+  return htmlPage({
+    title: "Opening the app…",
+    message: "If nothing happens, use the button below.",
+    head: `<noscript><meta http-equiv="refresh" content="0;url=${escapeHtml(webUrl)}"></noscript>
+<script>
+  (function(links) {
+    window.location.href = links.deepLink;
+    setTimeout(function() { window.location.replace(links.webUrl); }, ${DEEPLINK_FALLBACK_MS});
+  })(${script});
+</script>
+`,
+    body: `<a class="button" href="${escapeHtml(webUrl)}">Continue</a>`,
+    headers: { "Cache-Control": "private, no-store", "X-Robots-Tag": "noindex, nofollow" }
+  });
+}
+
+// Serve the preview to crawlers, otherwise redirect to the variant (deep link page on mobile)
+// `productKey`/`variant` come from the route; returns the Response for the visitor
+export async function handleAffiliateRequest({ request, env, waitUntil }, { productKey, variant }) {
+  const userAgent = request.headers.get("User-Agent") || "";
+
+  if (isCrawler(userAgent) && env.ASSETS) {
+    const assetPath = previewAssetPath(productKey, variant);
+    if (assetPath) {
+      const preview = await env.ASSETS.fetch(new URL(assetPath, request.url));
+      if (preview.ok) return preview;
+    }
+  }
+
+  const productLinks = getProductLinks(productKey);
+  if (!productLinks) {
+    return redirect("/");
+  }
+
+  if (!variant) {
+    // amzn has no page of its own
+    return redirect(productKey === "amzn" ? "/" : productPageUrl(productKey));
+  }
+
+  let variantKey = findVariant(productLinks, variant);
+  if (!variantKey) {
+    return redirect(productPageUrl(productKey));
+  }
+
+  // Split test: a link to any arm sends the visitor to their (sticky) assigned arm
+  const arms = getSplitArms(productLinks);
+  let split = null;
+  if (arms && arms.some(arm => arm.variant === variantKey)) {
+    split = assignArm(request, productKey, arms);
+    variantKey = split.arm;
+  }
+
+  const localUrl = localizedUrl(productLinks, variantKey, visitorCountry(request));
+  const webUrl = localUrl || productLinks[variantKey];
+  const platform = detectPlatform(userAgent);
+  // App links point at amazon.com; the local store's web link opens the app by itself where it is installed
+  const deepLink = localUrl ? null : productLinks[`${variantKey}_deeplink_${platform}`];
+
+  if (env.DB) {
+    waitUntil(recordClick(env, request, { productKey, variantKey, platform, arm: split && split.arm })
+      .catch(err => console.error("Affiliate click log error:", err)));
+  }
+
+  const response = deepLink && deepLink !== webUrl ? deepLinkPage(deepLink, webUrl) : redirect(webUrl);
+  if (split && split.cookie) {
+    response.headers.append("Set-Cookie", split.cookie);
+  }
+  return response;
+}
@@ -0,0 +1,68 @@
+// cat-shelf-guide.js
+// Double opt-in helpers and emails for the cat shelf guide signup
+
+import { renderEmail } from "./email-templates.js";
+import { enqueueEmail } from "./outbox.js";
+import { createUnsubscribeUrl, listUnsubscribeHeaders } from "./suppression.js";
+import { createSignedToken } from "./tokens.js";
+
+// Confirmation links stay valid for 48 hours
+export const CONFIRM_TOKEN_TTL = 48 * 60 * 60;
+
+// Guide download links stay valid for 7 days
+export const DOWNLOAD_TOKEN_DAYS = 7;
+
+export const SIGNUP_PAGE = "/cat-shelf-guide-email/";
+
+// Validation schema for the signup form (see validation.js)
+export const SIGNUP_SCHEMA = {
+  email: { type: "email", required: true, maxLength: 254, message: "Invalid email address" },
+};
+
+// Bot protection settings for the signup form (see protection.js)
+export const SIGNUP_PROTECTION = {
+  name: "cat-shelf-guide",
+  honeypot: "website",
+  minSubmitSeconds: 2,
+  turnstile: true,
+  rateLimit: {
+    perIp: { limit: 10, windowSeconds: 60 * 60 },
+    perEmail: { limit: 3, windowSeconds: 24 * 60 * 60 },
+  },
+};
+
+// Build the confirmation link for a pending subscriber
+export async function createConfirmUrl(env, origin, email, nonce) {
+  const token = await createSignedToken(env.EMAIL_TOKEN_SECRET, { purpose: "confirm", email, nonce }, CONFIRM_TOKEN_TTL);
+  return `${origin}/api/cat-shelf-guide-email/confirm?token=${encodeURIComponent(token)}`;
+}
+
+// Build the per-subscriber, time-limited guide download link
+export async function createDownloadUrl(env, origin, email) {
+  const token = await createSignedToken(env.EMAIL_TOKEN_SECRET, { purpose: "download", email }, DOWNLOAD_TOKEN_DAYS * 24 * 60 * 60);
+  return `${origin}/api/guide-download?token=${encodeURIComponent(token)}`;
+}
+
+// Queue the email asking the subscriber to confirm their address
+// It is sent even to addresses that unsubscribed before: the visitor just asked for it, and only
+// confirming clears the suppression (bounced and complained addresses never get here)
+export async function queueConfirmationEmail(env, origin, email, confirmUrl) {
+  const unsubscribeUrl = await createUnsubscribeUrl(env, origin, email);
+  return enqueueEmail(env, {
+    to: email,
+    ...renderEmail("guide-confirmation", { siteUrl: origin, confirmUrl, unsubscribeUrl }),
+    headers: listUnsubscribeHeaders(unsubscribeUrl),
+    ignoreSuppressionReasons: ["unsubscribe"]
+  }, "guide-confirmation");
+}
+
+// Queue delivery of the guide to a confirmed subscriber
+export async function queueGuideEmail(env, origin, email) {
+  const unsubscribeUrl = await createUnsubscribeUrl(env, origin, email);
+  const guideUrl = await createDownloadUrl(env, origin, email);
+  return enqueueEmail(env, {
+    to: email,
+    ...renderEmail("guide-delivery", { siteUrl: origin, guideUrl, expiresInDays: DOWNLOAD_TOKEN_DAYS, unsubscribeUrl }),
+    headers: listUnsubscribeHeaders(unsubscribeUrl)
+  }, "guide-delivery");
+}
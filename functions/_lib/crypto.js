@@ -0,0 +1,44 @@
+// crypto.js
+// Shared Web Crypto helpers for Cloudflare Pages Functions
+
+// Hash a string using SHA-256
+export async function hash(str) {
+  const encoder = new TextEncoder();
+  const data = typeof str === "string" ? encoder.encode(str) : str;
+  const digest = await crypto.subtle.digest("SHA-256", data);
+  return toHex(new Uint8Array(digest));
+}
+
+// HMAC with SHA-256
+export async function hmac(key, str) {
+  const cryptoKey = await crypto.subtle.importKey(
+    "raw",
+    typeof key === "string" ? new TextEncoder().encode(key) : key,
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    cryptoKey,
+    new TextEncoder().encode(str)
+  );
+  return new Uint8Array(signature);
+}
+
+// Convert ArrayBuffer/Uint8Array to hex string
+export function toHex(arrayBuffer) {
+  return Array.from(arrayBuffer)
+              .map(b => b.toString(16).padStart(2, "0"))
+              .join("");
+}
+
+// Convert a string or Uint8Array to base64
+export function toBase64(input) {
+  const bytes = typeof input === "string" ? new TextEncoder().encode(input) : input;
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
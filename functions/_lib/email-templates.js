@@ -0,0 +1,218 @@
+// email-templates.js
+// Branded email templates (HTML + text alternative) shared by all Pages Functions
+//
+// Templates use {{variable}} placeholders. Values are HTML-escaped (newlines become <br>) in the HTML
+// version and inserted as-is in the text version. Every template renders inside the shared layout,
+// which adds the Raja and David® header and footer, and an unsubscribe link when `unsubscribeUrl` is set.
+//
+//   const { subject, html, text } = renderEmail("guide-delivery", { siteUrl, guideUrl, unsubscribeUrl });
+
+import { escapeHtml } from "./http.js";
+
+const BRAND = "Raja and David®";
+const LOGO_PATH = "/wp-content/uploads/2025/04/outdoorsavannah-logo-registered-300x184.jpeg";
+const DEFAULT_SITE_URL = "https://www.outdoorsavannah.com";
+
+// --------------------
+// Templates
+// --------------------
+
+export const templates = {
+  "guide-confirmation": {
+    subject: "Please confirm your Cat Shelf Guide request",
+    html: `<p>Hi!</p>
+<p>Someone (hopefully you) asked for the Cat Shelf Guide to be sent to this address. Confirm your email and the guide is on its way.</p>
+<p style="text-align: center;"><a class="button" href="{{confirmUrl}}">Confirm my email</a></p>
+<p class="muted">This link expires in 48 hours. If you didn't request the guide, you can ignore this email.</p>`,
+    text: `Hi!
+
+Someone (hopefully you) asked for the Cat Shelf Guide to be sent to this address.
+
+Confirm your email to receive the guide:
+{{confirmUrl}}
+
+This link expires in 48 hours. If you didn't request the guide, you can ignore this email.`,
+    sample: {
+      confirmUrl: "https://www.outdoorsavannah.com/api/cat-shelf-guide-email/confirm?token=SAMPLE",
+      unsubscribeUrl: "https://www.outdoorsavannah.com/api/unsubscribe?token=SAMPLE",
+    },
+  },
+
+  "guide-delivery": {
+    subject: "Your Cat Shelf Guide",
+    html: `<p>Hi!</p>
+<p>Thanks for confirming — here is your guide to building cat shelves.</p>
+<p style="text-align: center;"><a class="button" href="{{guideUrl}}">Download the Cat Shelf Guide (PDF)</a></p>
+<p>Have fun building, and send us photos of your cats on their new shelves!</p>
+<p class="muted">This download link is just for you and expires in {{expiresInDays}} days. Need a new one? Sign up again with the same address.</p>`,
+    text: `Hi!
+
+Thanks for confirming — download your guide to building cat shelves (PDF):
+{{guideUrl}}
+
+Have fun building, and send us photos of your cats on their new shelves!
+
+This download link is just for you and expires in {{expiresInDays}} days. Need a new one? Sign up again with the same address.`,
+    sample: {
+      guideUrl: "https://www.outdoorsavannah.com/api/guide-download?token=SAMPLE",
+      expiresInDays: 7,
+      unsubscribeUrl: "https://www.outdoorsavannah.com/api/unsubscribe?token=SAMPLE",
+    },
+  },
+
+  "license-notification": {
+    subject: "New License Request {{reference}}",
+    html: `<p>A new license request was submitted.</p>
+<table class="details">
+<tr><th>Reference</th><td>{{reference}}</td></tr>
+<tr><th>Company</th><td>{{company}}</td></tr>
+<tr><th>Name</th><td>{{name}}</td></tr>
+<tr><th>Email</th><td>{{email}}</td></tr>
+<tr><th>Type of Use</th><td>{{typeOfUse}}</td></tr>
+<tr><th>List of Works to License</th><td>{{works}}</td></tr>
+<tr><th>Duration of Use</th><td>{{duration}}</td></tr>
+<tr><th>Proposed Fee</th><td>{{fee}}</td></tr>
+</table>`,
+    text: `A new license request was submitted.
+
+Reference: {{reference}}
+Company: {{company}}
+Name: {{name}}
+Email: {{email}}
+Type of Use: {{typeOfUse}}
+List of Works to License:
+{{works}}
+Duration of Use: {{duration}}
+Proposed Fee: {{fee}}`,
+    sample: {
+      reference: "LR-20250412-7KQ2MX",
+      company: "Example Media & Co.",
+      name: "Jane Doe",
+      email: "jane@example.com",
+      typeOfUse: "social-media",
+      works: "Cat shelf timelapse (YouTube)\nRolling ball toy short",
+      duration: "1-year",
+      fee: "250.00",
+    },
+  },
+
+  "license-acknowledgement": {
+    subject: "We received your license request ({{reference}})",
+    html: `<p>Hi {{name}},</p>
+<p>Thanks for your interest in licensing our work. We've received your request and will get back to you soon.</p>
+<p>Your reference number is <strong>{{reference}}</strong> — please include it in any replies.</p>
+<table class="details">
+<tr><th>Company</th><td>{{company}}</td></tr>
+<tr><th>Type of Use</th><td>{{typeOfUse}}</td></tr>
+<tr><th>List of Works to License</th><td>{{works}}</td></tr>
+<tr><th>Duration of Use</th><td>{{duration}}</td></tr>
+<tr><th>Proposed Fee</th><td>{{fee}}</td></tr>
+</table>`,
+    text: `Hi {{name}},
+
+Thanks for your interest in licensing our work. We've received your request and will get back to you soon.
+
+Your reference number is {{reference}} — please include it in any replies.
+
+Company: {{company}}
+Type of Use: {{typeOfUse}}
+List of Works to License:
+{{works}}
+Duration of Use: {{duration}}
+Proposed Fee: {{fee}}`,
+    sample: {
+      reference: "LR-20250412-7KQ2MX",
+      company: "Example Media & Co.",
+      name: "Jane Doe",
+      typeOfUse: "social-media",
+      works: "Cat shelf timelapse (YouTube)\nRolling ball toy short",
+      duration: "1-year",
+      fee: "250.00",
+    },
+  },
+};
+
+// --------------------
+// Layout
+// --------------------
+
+function layoutHtml(subject, content, { siteUrl, unsubscribeUrl }) {
+  const unsubscribe = unsubscribeUrl
+    ? `<br><a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(subject)}</title>
+<style>
+  body { margin: 0; padding: 0; background: #f5f5f5; font-family: Arial, sans-serif; color: #333; }
+  .wrapper { max-width: 600px; margin: 0 auto; padding: 24px 12px; }
+  .header { text-align: center; padding-bottom: 16px; }
+  .content { background: #fff; border-radius: 12px; padding: 24px; line-height: 1.5; }
+  .button { display: inline-block; background-color: #6e42d3; color: #fff !important; border-radius: 8px; padding: 12px 20px; font-weight: 600; text-decoration: none; }
+  .muted { color: #9398a5; font-size: 14px; }
+  .details { border-collapse: collapse; width: 100%; }
+  .details th, .details td { text-align: left; vertical-align: top; padding: 6px 8px; border-bottom: 1px solid #eee; }
+  .footer { text-align: center; color: #9398a5; font-size: 13px; padding-top: 16px; }
+  .footer a { color: #9398a5; }
+</style>
+</head>
+<body>
+<div class="wrapper">
+  <div class="header">
+    <a href="${escapeHtml(siteUrl)}/"><img src="${escapeHtml(siteUrl + LOGO_PATH)}" width="150" alt="${BRAND}"></a>
+  </div>
+  <div class="content">
+${content}
+  </div>
+  <div class="footer">
+    &copy; ${new Date().getFullYear()} ${BRAND} &middot; <a href="${escapeHtml(siteUrl)}/">outdoorsavannah.com</a>${unsubscribe}
+  </div>
+</div>
+</body>
+</html>`;
+}
+
+function layoutText(content, { siteUrl, unsubscribeUrl }) {
+  const unsubscribe = unsubscribeUrl ? `\nUnsubscribe: ${unsubscribeUrl}` : "";
+  return `${content}
+
+--
+${BRAND}
+${siteUrl}/${unsubscribe}
+`;
+}
+
+// --------------------
+// Rendering
+// --------------------
+
+function interpolate(str, vars, encode) {
+  return str.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => {
+    const value = vars[name];
+    return value === undefined || value === null ? "" : encode(String(value));
+  });
+}
+
+const encodeHtmlValue = value => escapeHtml(value).replace(/\r?\n/g, "<br>");
+
+// Render a template to { subject, html, text }
+export function renderEmail(name, vars = {}) {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+
+  const layoutVars = {
+    siteUrl: (vars.siteUrl || DEFAULT_SITE_URL).replace(/\/$/, ""),
+    unsubscribeUrl: vars.unsubscribeUrl,
+  };
+
+  const subject = interpolate(template.subject, vars, value => value);
+  return {
+    subject,
+    html: layoutHtml(subject, interpolate(template.html, vars, encodeHtmlValue), layoutVars),
+    text: layoutText(interpolate(template.text, vars, value => value), layoutVars),
+  };
+}
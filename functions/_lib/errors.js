@@ -0,0 +1,103 @@
+// errors.js
+// Error handling for JSON API Pages Functions
+//
+// Wrap a handler with withErrorHandling() and throw ApiError for failures the visitor should hear about.
+// Anything else becomes a generic 500. Either way the full error is logged with a request ID, and the
+// response carries only a stable `code`, a user-safe `error` message and the `requestId`, so visitor
+// reports can be matched to the logs:
+//
+//   export const onRequestPost = withErrorHandling(async context => { ... });
+//   // -> 500 { success: false, code: "internal_error", error: "Something went wrong...", requestId: "..." }
+
+// User-safe messages for each error code
+export const ERROR_MESSAGES = {
+  invalid_request: "We couldn't read that request. Please reload the page and try again.",
+  not_found: "Not found.",
+  service_unavailable: "This service is temporarily unavailable. Please try again in a few minutes.",
+  internal_error: "Something went wrong on our side. Please try again later.",
+};
+
+// A failure with a stable code and a message that is safe to show the visitor
+// `detail` is logged but never sent to the client
+export class ApiError extends Error {
+  constructor(code, status, message = ERROR_MESSAGES[code], detail = null) {
+    super(message || ERROR_MESSAGES.internal_error);
+    this.name = "ApiError";
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// Cloudflare's Ray ID when present, so log lines line up with the dashboard
+export function getRequestId(request) {
+  const ray = request.headers.get("CF-Ray");
+  return ray ? ray.split("-")[0] : crypto.randomUUID();
+}
+
+// JSON error body in the shape every API endpoint uses
+export function errorResponse(code, status, message, requestId, headers = {}) {
+  return new Response(JSON.stringify({
+    success: false,
+    code,
+    error: message || ERROR_MESSAGES[code] || ERROR_MESSAGES.internal_error,
+    requestId
+  }), {
+    status,
+    headers: { "Content-Type": "application/json", "X-Request-Id": requestId, ...headers }
+  });
+}
+
+// Parse a JSON request body; malformed JSON is the caller's fault, not a 500
+export async function readJson(request) {
+  try {
+    return await request.json();
+  } catch (err) {
+    throw new ApiError("invalid_request", 400, undefined, err.message);
+  }
+}
+
+// Parse a JSON request body that must be an object (e.g. { "status": "quoted" }); null, arrays and scalars are a 400
+export async function readJsonObject(request) {
+  const body = await readJson(request);
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new ApiError("invalid_request", 400, undefined, "JSON body is not an object");
+  }
+  return body;
+}
+
+// Parse a form request body (multipart or urlencoded)
+export async function readFormData(request) {
+  try {
+    return await request.formData();
+  } catch (err) {
+    throw new ApiError("invalid_request", 400, undefined, err.message);
+  }
+}
+
+// Wrap a Pages Function handler: adds X-Request-Id to every response (also in context.data.requestId)
+// and turns thrown errors into safe JSON responses
+export function withErrorHandling(handler) {
+  return async context => {
+    const { request } = context;
+    const requestId = getRequestId(request);
+    if (context.data) context.data.requestId = requestId;
+
+    let response;
+    try {
+      response = await handler(context);
+    } catch (err) {
+      const url = new URL(request.url);
+      if (err instanceof ApiError) {
+        console.error(`[${requestId}] ${request.method} ${url.pathname} ${err.status} ${err.code}:`, err.detail || err.message);
+        return errorResponse(err.code, err.status, err.message, requestId);
+      }
+      console.error(`[${requestId}] ${request.method} ${url.pathname} 500 internal_error:`, err);
+      return errorResponse("internal_error", 500, null, requestId);
+    }
+
+    const headers = new Headers(response.headers);
+    headers.set("X-Request-Id", requestId);
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+  };
+}
@@ -0,0 +1,90 @@
+// http.js
+// Response helpers shared by Pages Functions
+
+// Escape text for safe inclusion in HTML
+export function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// JSON response with the given status and extra headers
+export function jsonResponse(body, status, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers }
+  });
+}
+
+// Small standalone HTML page for links opened from emails
+// `body` and `head` are trusted HTML; `title` and `message` are escaped
+export function htmlPage({ title, message, body = "", head = "", status = 200, headers = {} }) {
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="robots" content="noindex, nofollow">
+<title>${escapeHtml(title)} - Raja and David&reg;</title>
+${head}<style>
+  body {
+    margin: 0;
+    min-height: 100vh;
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    background: #f5f5f5;
+    font-family: Arial, sans-serif;
+  }
+  .card {
+    max-width: 480px;
+    margin: 1rem;
+    padding: 2rem;
+    background: #fff;
+    border-radius: 12px;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+    text-align: center;
+  }
+  h1 { color: #2d3149; font-size: 1.6rem; }
+  p { color: #555; line-height: 1.5; }
+  a.button, button {
+    display: inline-block;
+    background-color: #6e42d3;
+    color: #fff;
+    border: none;
+    border-radius: 8px;
+    padding: 12px 20px;
+    font-size: 1rem;
+    font-weight: 600;
+    text-decoration: none;
+    cursor: pointer;
+  }
+</style>
+</head>
+<body>
+  <div class="card">
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+    ${body}
+  </div>
+</body>
+</html>`;
+
+  return new Response(html, {
+    status,
+    headers: { "Content-Type": "text/html; charset=UTF-8", ...headers }
+  });
+}
+
+// Value of a request cookie, or null
+export function readCookie(request, name) {
+  const header = request.headers.get("Cookie") || "";
+  for (const part of header.split(";")) {
+    const [key, ...rest] = part.trim().split("=");
+    if (key === name) return rest.join("=");
+  }
+  return null;
+}
@@ -0,0 +1,80 @@
+// license-requests.js
+// Storage and emails for licensing form submissions
+
+import { renderEmail } from "./email-templates.js";
+import { enqueueEmail } from "./outbox.js";
+
+export const LICENSE_STATUSES = ["new", "quoted", "accepted", "declined", "expired"];
+
+// Allowed values of the licensing form's select fields (keep in sync with licensing/index.html)
+export const TYPE_OF_USE_OPTIONS = ["editorial", "advertising", "social-media", "broadcast", "film", "educational", "other"];
+export const DURATION_OPTIONS = ["one-time", "1-month", "3-months", "6-months", "1-year", "2-years", "perpetual"];
+
+// Validation schema for the licensing form (see validation.js)
+export const LICENSE_REQUEST_SCHEMA = {
+  company:   { required: true, maxLength: 200 },
+  name:      { required: true, maxLength: 200 },
+  email:     { type: "email", required: true, maxLength: 254 },
+  typeOfUse: { required: true, oneOf: TYPE_OF_USE_OPTIONS },
+  works:     { required: true, minLength: 3, maxLength: 5000 },
+  duration:  { required: true, oneOf: DURATION_OPTIONS },
+  fee:       { type: "currency", maxLength: 50 },
+};
+
+// Bot protection settings for the licensing form (see protection.js)
+export const LICENSE_REQUEST_PROTECTION = {
+  name: "license-request",
+  honeypot: "website",
+  minSubmitSeconds: 5,
+  turnstile: true,
+  rateLimit: {
+    perIp: { limit: 5, windowSeconds: 60 * 60 },
+    perEmail: { limit: 3, windowSeconds: 24 * 60 * 60 },
+  },
+};
+
+// No 0/O or 1/I so references can be read out over the phone
+const REFERENCE_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+
+// Generate a reference number like LR-20250412-7KQ2MX
+export function createReference(now = new Date()) {
+  const date = now.toISOString().slice(0, 10).replace(/-/g, "");
+  const random = crypto.getRandomValues(new Uint8Array(6));
+  const suffix = Array.from(random, b => REFERENCE_ALPHABET[b % REFERENCE_ALPHABET.length]).join("");
+  return `LR-${date}-${suffix}`;
+}
+
+// Store a new request; returns its reference number
+export async function insertLicenseRequest(env, { company, name, email, typeOfUse, works, duration, fee }) {
+  // Retry on the (unlikely) reference collision
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const reference = createReference();
+    try {
+      await env.DB.prepare(
+        `INSERT INTO license_requests (reference, company, name, email, type_of_use, works, duration, fee)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      ).bind(reference, company, name, email, typeOfUse, works, duration, fee).run();
+      return reference;
+    } catch (err) {
+      if (!/UNIQUE/i.test(String(err.message))) throw err;
+    }
+  }
+  throw new Error("Could not allocate a license request reference");
+}
+
+// Queue a notification to our inbox about a new request
+export function queueLicenseNotification(env, request) {
+  return enqueueEmail(env, {
+    to: env.LICENSE_REQUEST_TO || "david@outdoorsavannah.com",
+    replyTo: request.email || undefined,
+    ...renderEmail("license-notification", { siteUrl: env.SITE_URL, ...request })
+  }, `license-notification ${request.reference}`);
+}
+
+// Queue an acknowledgement of receipt to the requester
+export function queueLicenseAcknowledgement(env, request) {
+  return enqueueEmail(env, {
+    to: request.email,
+    ...renderEmail("license-acknowledgement", { siteUrl: env.SITE_URL, ...request })
+  }, `license-acknowledgement ${request.reference}`);
+}
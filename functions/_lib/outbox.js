@@ -0,0 +1,128 @@
+// outbox.js
+// Outbound email queue backed by the D1 email_outbox table
+//
+// Request handlers call enqueueEmail() and return right away; the message is then sent by drainOutbox(),
+// which runs immediately through waitUntil() and again on a schedule (see workers/email-outbox/index.js)
+// so throttled or failed sends are retried with exponential backoff. After MAX_ATTEMPTS a message is
+// dead-lettered (status 'dead') and left in the table for inspection.
+
+import { sendEmail } from "./ses.js";
+
+export const MAX_ATTEMPTS = 6;
+
+// 1 min, 2 min, 4 min, 8 min, 16 min between attempts
+const BASE_DELAY_SECONDS = 60;
+
+// Rows stuck in 'sending' (isolate died mid-send) are retried after this long
+const SENDING_TIMEOUT_SECONDS = 10 * 60;
+
+const DRAIN_BATCH_SIZE = 25;
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// Delay before the next attempt, with +/-20% jitter so retries don't bunch up
+export function backoffSeconds(attempts) {
+  const delay = BASE_DELAY_SECONDS * 2 ** Math.max(0, attempts - 1);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// SES rejects some messages outright (bad address, unverified sender); retrying won't help
+function isPermanentFailure(status) {
+  return status >= 400 && status < 500 && status !== 429;
+}
+
+// --------------------
+// Enqueue
+// --------------------
+
+// Store a message for sending; `message` takes the same fields as sendEmail()
+// Resolves to { ok: true, id }
+export async function enqueueEmail(env, message, context = null) {
+  const result = await env.DB.prepare(
+    `INSERT INTO email_outbox (context, message, next_attempt_at) VALUES (?, ?, ?) RETURNING id`
+  ).bind(context, JSON.stringify(message), nowSeconds()).first();
+  return { ok: true, id: result.id };
+}
+
+// --------------------
+// Drain
+// --------------------
+
+async function deliver(env, row) {
+  // Claim the row so concurrent drains never send it twice
+  const claim = await env.DB.prepare(
+    `UPDATE email_outbox SET status = 'sending', updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'pending'`
+  ).bind(row.id).run();
+  if (!claim.meta || claim.meta.changes !== 1) return "skipped";
+
+  const attempts = row.attempts + 1;
+  let result;
+  try {
+    result = await sendEmail(env, JSON.parse(row.message));
+  } catch (err) {
+    result = { ok: false, status: 0, error: err.message };
+  }
+
+  if (result.ok) {
+    await env.DB.prepare(
+      `UPDATE email_outbox
+       SET status = ?, attempts = ?, ses_message_id = ?, last_error = NULL,
+           sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`
+    ).bind(result.suppressed ? "suppressed" : "sent", attempts, result.messageId || null, row.id).run();
+    return "sent";
+  }
+
+  const dead = attempts >= MAX_ATTEMPTS || isPermanentFailure(result.status);
+  console.error(`Outbox ${row.id} (${row.context || "email"}) attempt ${attempts} failed:`, result.error);
+
+  await env.DB.prepare(
+    `UPDATE email_outbox
+     SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`
+  ).bind(
+    dead ? "dead" : "pending",
+    attempts,
+    nowSeconds() + backoffSeconds(attempts),
+    String(result.error).slice(0, 2000),
+    row.id
+  ).run();
+  return dead ? "dead" : "retry";
+}
+
+// Send due messages; pass ids to only attempt specific rows (used right after enqueueing)
+// Resolves to counts per outcome: { sent, retry, dead, skipped }
+export async function drainOutbox(env, { ids = null, limit = DRAIN_BATCH_SIZE } = {}) {
+  const now = nowSeconds();
+
+  // Recover rows abandoned mid-send
+  await env.DB.prepare(
+    `UPDATE email_outbox SET status = 'pending'
+     WHERE status = 'sending' AND updated_at < datetime(?, 'unixepoch')`
+  ).bind(now - SENDING_TIMEOUT_SECONDS).run();
+
+  let statement;
+  if (ids && ids.length) {
+    statement = env.DB.prepare(
+      `SELECT id, context, message, attempts FROM email_outbox
+       WHERE status = 'pending' AND id IN (${ids.map(() => "?").join(", ")})`
+    ).bind(...ids);
+  } else {
+    statement = env.DB.prepare(
+      `SELECT id, context, message, attempts FROM email_outbox
+       WHERE status = 'pending' AND next_attempt_at <= ?
+       ORDER BY next_attempt_at
+       LIMIT ?`
+    ).bind(now, limit);
+  }
+
+  const { results } = await statement.all();
+  const counts = { sent: 0, retry: 0, dead: 0, skipped: 0 };
+  for (const row of results || []) {
+    counts[await deliver(env, row)]++;
+  }
+  return counts;
+}
@@ -0,0 +1,174 @@
+// protection.js
+// Bot protection for public form endpoints: honeypot, minimum time-to-submit, Turnstile and rate limiting
+//
+// Each endpoint passes its own config:
+//   {
+//     name: "license-request",                    // namespace for rate limit counters
+//     honeypot: "website",                        // hidden field real visitors leave empty
+//     minSubmitSeconds: 3,                        // minimum age of the signed "_started" form token
+//     turnstile: true,                            // verify "cf-turnstile-response" when TURNSTILE_SECRET_KEY is set
+//     rateLimit: {
+//       perIp:    { limit: 5, windowSeconds: 3600 },
+//       perEmail: { limit: 3, windowSeconds: 86400 },
+//     },
+//   }
+//
+// The page fetches "_started" from /api/form-token when it loads: a token signed with EMAIL_TOKEN_SECRET that
+// records when it was issued, so the time-to-submit check doesn't trust a timestamp sent by the client.
+// The same endpoint hands out TURNSTILE_SITE_KEY, and the page only renders the Turnstile widget when it is set.
+//
+// Rate limit counters live in the RATE_LIMIT KV namespace when bound, otherwise in the D1 rate_limits table
+// (expired rows are removed by pruneRateLimits() from the scheduled outbox worker).
+// Set TURNSTILE_VERIFIER = "stub" to use the offline stub verifier (local development and tests).
+
+import { jsonResponse } from "./http.js";
+import { createSignedToken, verifySignedToken } from "./tokens.js";
+import { readField } from "./validation.js";
+
+const TURNSTILE_VERIFY_URL = "https://challenges.cloudflare.com/turnstile/v0/siteverify";
+
+// Form tokens older than this are refused; the visitor reloads the page for a new one
+export const FORM_TOKEN_TTL = 24 * 60 * 60;
+
+// Token accepted by the stub verifier (same as Cloudflare's dummy test token)
+export const STUB_TURNSTILE_TOKEN = "XXXX.DUMMY.TOKEN.XXXX";
+
+// --------------------
+// Form tokens
+// --------------------
+
+// Signed token recording when `form` was loaded; issuedAt (ms) can be backdated by tests and the harness
+export async function createFormToken(env, form, issuedAt = Date.now()) {
+  return createSignedToken(env.EMAIL_TOKEN_SECRET, { purpose: "form", form, iat: issuedAt }, FORM_TOKEN_TTL);
+}
+
+// Milliseconds since the form token was issued, or null when it is missing, forged, expired or for another form
+async function formTokenAge(env, token, form) {
+  const { valid, payload } = await verifySignedToken(env.EMAIL_TOKEN_SECRET, token, "form");
+  if (!valid || payload.form !== form || typeof payload.iat !== "number") return null;
+
+  // Also enforced here because iat can't be in the future or older than the token's own expiry
+  const age = Date.now() - payload.iat;
+  return age >= 0 && age <= FORM_TOKEN_TTL * 1000 ? age : null;
+}
+
+// --------------------
+// Turnstile
+// --------------------
+
+// Verify a token against Cloudflare's siteverify API
+export async function verifyTurnstile(token, { secret, ip }) {
+  const body = new FormData();
+  body.append("secret", secret);
+  body.append("response", token);
+  if (ip) body.append("remoteip", ip);
+
+  const response = await fetch(TURNSTILE_VERIFY_URL, { method: "POST", body });
+  if (!response.ok) return false;
+  const result = await response.json();
+  return result.success === true;
+}
+
+// Offline verifier for local development and tests
+export async function stubTurnstileVerifier(token) {
+  return token === STUB_TURNSTILE_TOKEN;
+}
+
+function getTurnstileVerifier(env) {
+  return env.TURNSTILE_VERIFIER === "stub" ? stubTurnstileVerifier : verifyTurnstile;
+}
+
+// --------------------
+// Rate limiting
+// --------------------
+
+// Increment a fixed-window counter; resolves to { allowed, retryAfter }
+async function hitRateLimit(env, key, { limit, windowSeconds }) {
+  const now = Math.floor(Date.now() / 1000);
+  const windowStart = now - (now % windowSeconds);
+  const windowKey = `${key}:${windowStart}`;
+  const retryAfter = windowStart + windowSeconds - now;
+
+  if (env.RATE_LIMIT) {
+    const count = parseInt(await env.RATE_LIMIT.get(windowKey), 10) || 0;
+    if (count >= limit) return { allowed: false, retryAfter };
+    // KV requires a TTL of at least 60 seconds
+    await env.RATE_LIMIT.put(windowKey, String(count + 1), { expirationTtl: Math.max(60, retryAfter) });
+    return { allowed: true, retryAfter };
+  }
+
+  if (env.DB) {
+    const row = await env.DB.prepare(
+      `INSERT INTO rate_limits (key, count, expires_at)
+       VALUES (?, 1, ?)
+       ON CONFLICT(key) DO UPDATE SET count = count + 1
+       RETURNING count`
+    ).bind(windowKey, windowStart + windowSeconds).first();
+    return { allowed: row.count <= limit, retryAfter };
+  }
+
+  // No storage bound: rate limiting is disabled
+  return { allowed: true, retryAfter };
+}
+
+// Delete D1 counters whose window has ended; resolves to the number of rows removed
+export async function pruneRateLimits(env) {
+  const result = await env.DB.prepare(`DELETE FROM rate_limits WHERE expires_at <= ?`)
+                             .bind(Math.floor(Date.now() / 1000))
+                             .run();
+  return result.meta ? result.meta.changes : 0;
+}
+
+// --------------------
+// Main check
+// --------------------
+
+// Run the configured checks; resolves to a Response to return early, or null to continue
+// `input` is the submitted FormData/object, `email` the validated address (for per-email limits)
+export async function checkProtection({ request, env }, input, config, { email } = {}) {
+  const ip = request.headers.get("CF-Connecting-IP") || "unknown";
+
+  // --- 1. Honeypot: pretend it worked so bots don't adapt ---
+  if (config.honeypot && readField(input, config.honeypot)) {
+    return jsonResponse({ success: true }, 200);
+  }
+
+  // --- 2. Minimum time between page load and submit, measured from the signed form token ---
+  if (config.minSubmitSeconds) {
+    const age = await formTokenAge(env, readField(input, "_started"), config.name);
+    if (age === null) {
+      return jsonResponse({ success: false, code: "form_expired", error: "This form has expired. Please reload the page and try again." }, 400);
+    }
+    if (age < config.minSubmitSeconds * 1000) {
+      return jsonResponse({ success: false, code: "too_fast", error: "That was quick! Please wait a moment and try again." }, 400);
+    }
+  }
+
+  // --- 3. Turnstile ---
+  if (config.turnstile && (env.TURNSTILE_SECRET_KEY || env.TURNSTILE_VERIFIER === "stub")) {
+    const token = readField(input, "cf-turnstile-response");
+    const verify = getTurnstileVerifier(env);
+    if (!token || !(await verify(token, { secret: env.TURNSTILE_SECRET_KEY, ip }))) {
+      return jsonResponse({ success: false, code: "verification_failed", error: "Please complete the verification and try again." }, 403);
+    }
+  }
+
+  // --- 4. Rate limits ---
+  const limits = config.rateLimit || {};
+  const checks = [];
+  if (limits.perIp) checks.push([`rl:${config.name}:ip:${ip}`, limits.perIp]);
+  if (limits.perEmail && email) checks.push([`rl:${config.name}:email:${email.toLowerCase()}`, limits.perEmail]);
+
+  for (const [key, limit] of checks) {
+    const { allowed, retryAfter } = await hitRateLimit(env, key, limit);
+    if (!allowed) {
+      return jsonResponse(
+        { success: false, code: "rate_limited", error: "Too many requests. Please try again later." },
+        429,
+        { "Retry-After": String(retryAfter) }
+      );
+    }
+  }
+
+  return null;
+}
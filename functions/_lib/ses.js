@@ -0,0 +1,260 @@
+// ses.js
+// Shared AWS SES (v2 API) mail client for Cloudflare Pages Functions
+//
+// Configuration is read from env:
+//   AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY  credentials (required)
+//   AWS_SESSION_TOKEN                          optional, for temporary credentials
+//   SES_REGION                                 defaults to us-east-2
+//   SES_FROM                                   verified sender, defaults to david@outdoorsavannah.com
+//   SES_ENDPOINT                               override the API host (e.g. a local fake SES server)
+
+import { hash, hmac, toHex, toBase64 } from "./crypto.js";
+import { findSuppressed } from "./suppression.js";
+
+export const DEFAULT_REGION = "us-east-2";
+export const DEFAULT_SENDER = "david@outdoorsavannah.com";
+
+// --------------------
+// AWS Signature v4
+// --------------------
+
+// Generate signing key for AWS Signature v4
+export async function getSignatureKey(key, dateStamp, regionName, serviceName) {
+  const encoder = new TextEncoder();
+  let kDate = await hmac(encoder.encode("AWS4" + key), dateStamp);
+  let kRegion = await hmac(kDate, regionName);
+  let kService = await hmac(kRegion, serviceName);
+  let kSigning = await hmac(kService, "aws4_request");
+  return kSigning;
+}
+
+// RFC 3986 encoding as required by the canonical query string
+function encodeRfc3986(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, c => "%" + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+// Sign request using AWS Signature v4
+// Returns the headers to add to the request (Authorization, X-Amz-Date and optionally X-Amz-Security-Token)
+export async function signAWSv4({ method, url, region, service, headers = {}, body = "", accessKeyId, secretKey, sessionToken, now = new Date() }) {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const parsedUrl = new URL(url);
+  const canonicalUri = parsedUrl.pathname || "/";
+  const canonicalQuerystring = [...parsedUrl.searchParams]
+    .map(([k, v]) => [encodeRfc3986(k), encodeRfc3986(v)])
+    .sort(([a, av], [b, bv]) => (a < b ? -1 : a > b ? 1 : av < bv ? -1 : av > bv ? 1 : 0))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("&");
+
+  const headersToSign = { ...headers, host: parsedUrl.host, "x-amz-date": amzDate };
+  if (sessionToken) headersToSign["x-amz-security-token"] = sessionToken;
+
+  const canonicalEntries = Object.entries(headersToSign)
+    .map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, " ")])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+  const canonicalHeaders = canonicalEntries.map(([name, value]) => `${name}:${value}\n`).join("");
+  const signedHeaders = canonicalEntries.map(([name]) => name).join(";");
+
+  const payloadHash = await hash(body);
+  const canonicalRequest = `${method}\n${canonicalUri}\n${canonicalQuerystring}\n${canonicalHeaders}\n${signedHeaders}\n${payloadHash}`;
+
+  const algorithm = "AWS4-HMAC-SHA256";
+  const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = `${algorithm}\n${amzDate}\n${credentialScope}\n${await hash(canonicalRequest)}`;
+
+  const signingKey = await getSignatureKey(secretKey, dateStamp, region, service);
+  const signature = toHex(await hmac(signingKey, stringToSign));
+
+  const authorizationHeader = `${algorithm} Credential=${accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+  const result = {
+    "Authorization": authorizationHeader,
+    "X-Amz-Date": amzDate
+  };
+  if (sessionToken) result["X-Amz-Security-Token"] = sessionToken;
+  return result;
+}
+
+// --------------------
+// MIME helpers
+// --------------------
+
+function toList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value.filter(Boolean) : [value];
+}
+
+// Encode a header value as an RFC 2047 encoded-word when it is not plain ASCII
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${toBase64(value)}?=`;
+}
+
+// Wrap base64 output at 76 characters per line
+function wrapBase64(str) {
+  return str.replace(/.{1,76}/g, "$&\r\n");
+}
+
+function randomBoundary(label) {
+  return `----=_${label}_${crypto.randomUUID().replace(/-/g, "")}`;
+}
+
+// Build a raw MIME message with text/html alternatives and attachments
+// Attachments: [{ filename, content (string | Uint8Array), contentType }]
+export function buildRawMessage({ from, to, cc, replyTo, subject, text, html, attachments = [], headers = {} }) {
+  const lines = [
+    `From: ${from}`,
+    `To: ${toList(to).join(", ")}`,
+  ];
+  if (toList(cc).length) lines.push(`Cc: ${toList(cc).join(", ")}`);
+  if (toList(replyTo).length) lines.push(`Reply-To: ${toList(replyTo).join(", ")}`);
+  lines.push(`Subject: ${encodeHeader(subject || "")}`);
+  for (const [name, value] of Object.entries(headers)) {
+    lines.push(`${name}: ${encodeHeader(String(value))}`);
+  }
+  lines.push("MIME-Version: 1.0");
+
+  const textPart = (contentType, content) => [
+    `Content-Type: ${contentType}; charset=UTF-8`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    wrapBase64(toBase64(content)),
+  ].join("\r\n");
+
+  const bodyParts = [];
+  if (text) bodyParts.push(textPart("text/plain", text));
+  if (html) bodyParts.push(textPart("text/html", html));
+
+  let body;
+  if (bodyParts.length > 1) {
+    const altBoundary = randomBoundary("alt");
+    body = [
+      `Content-Type: multipart/alternative; boundary="${altBoundary}"`,
+      "",
+      ...bodyParts.map(part => `--${altBoundary}\r\n${part}`),
+      `--${altBoundary}--`,
+      "",
+    ].join("\r\n");
+  } else {
+    body = bodyParts[0] || textPart("text/plain", "");
+  }
+
+  if (attachments.length) {
+    const mixedBoundary = randomBoundary("mixed");
+    const attachmentParts = attachments.map(({ filename, content, contentType }) => [
+      `Content-Type: ${contentType || "application/octet-stream"}; name="${filename}"`,
+      `Content-Disposition: attachment; filename="${filename}"`,
+      "Content-Transfer-Encoding: base64",
+      "",
+      wrapBase64(toBase64(content)),
+    ].join("\r\n"));
+
+    lines.push(`Content-Type: multipart/mixed; boundary="${mixedBoundary}"`, "");
+    return [
+      ...lines,
+      `--${mixedBoundary}`,
+      body,
+      ...attachmentParts.map(part => `--${mixedBoundary}\r\n${part}`),
+      `--${mixedBoundary}--`,
+      "",
+    ].join("\r\n");
+  }
+
+  return [...lines, body].join("\r\n");
+}
+
+// --------------------
+// SES client
+// --------------------
+
+// Resolve SES settings from env
+export function getSesConfig(env) {
+  const region = env.SES_REGION || DEFAULT_REGION;
+  return {
+    region,
+    from: env.SES_FROM || DEFAULT_SENDER,
+    endpoint: (env.SES_ENDPOINT || `https://email.${region}.amazonaws.com`).replace(/\/$/, ""),
+    accessKeyId: env.AWS_ACCESS_KEY_ID,
+    secretKey: env.AWS_SECRET_ACCESS_KEY,
+    sessionToken: env.AWS_SESSION_TOKEN,
+  };
+}
+
+// Send an email through the SESv2 SendEmail API
+// Resolves to { ok, status, messageId, error } — never throws for SES-level failures.
+// Suppressed recipients are dropped; if none are left SES is not called and { ok: true, suppressed: true } is returned.
+// ignoreSuppressionReasons lets a message through suppressions with those reasons (see findSuppressed).
+export async function sendEmail(env, { from, to, cc, bcc, replyTo, subject, text, html, attachments = [], headers = {}, ignoreSuppressionReasons = [] }) {
+  const config = getSesConfig(env);
+
+  const recipients = [...toList(to), ...toList(cc), ...toList(bcc)];
+  const suppressed = new Set(await findSuppressed(env, recipients, { ignoreReasons: ignoreSuppressionReasons }));
+  if (suppressed.size) {
+    to = toList(to).filter(address => !suppressed.has(address));
+    cc = toList(cc).filter(address => !suppressed.has(address));
+    bcc = toList(bcc).filter(address => !suppressed.has(address));
+    if (!to.length && !cc.length && !bcc.length) {
+      return { ok: true, status: 200, messageId: null, suppressed: true };
+    }
+  }
+  const sender = from || config.from;
+  const url = `${config.endpoint}/v2/email/outbound-emails`;
+
+  const payload = {
+    FromEmailAddress: sender,
+    Destination: {
+      ToAddresses: toList(to),
+      CcAddresses: toList(cc),
+      BccAddresses: toList(bcc),
+    },
+    ReplyToAddresses: toList(replyTo),
+  };
+
+  if (attachments.length) {
+    // Attachments need a raw MIME message
+    const raw = buildRawMessage({ from: sender, to, cc, replyTo, subject, text, html, attachments, headers });
+    payload.Content = { Raw: { Data: toBase64(raw) } };
+  } else {
+    const body = {};
+    if (text) body.Text = { Data: text, Charset: "UTF-8" };
+    if (html) body.Html = { Data: html, Charset: "UTF-8" };
+    payload.Content = {
+      Simple: {
+        Subject: { Data: subject || "", Charset: "UTF-8" },
+        Body: body,
+      },
+    };
+    const headerList = Object.entries(headers).map(([Name, Value]) => ({ Name, Value: String(Value) }));
+    if (headerList.length) payload.Content.Simple.Headers = headerList;
+  }
+
+  const body = JSON.stringify(payload);
+  const signedHeaders = await signAWSv4({
+    method: "POST",
+    url,
+    region: config.region,
+    service: "ses",
+    headers: { "content-type": "application/json" },
+    body,
+    accessKeyId: config.accessKeyId,
+    secretKey: config.secretKey,
+    sessionToken: config.sessionToken,
+  });
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...signedHeaders
+    },
+    body
+  });
+
+  if (response.ok) {
+    const result = await response.json().catch(() => ({}));
+    return { ok: true, status: response.status, messageId: result.MessageId || null };
+  }
+
+  return { ok: false, status: response.status, error: await response.text() };
+}
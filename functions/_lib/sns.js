@@ -0,0 +1,124 @@
+// sns.js
+// Amazon SNS message signature verification for Cloudflare Pages Functions
+// https://docs.aws.amazon.com/sns/latest/dg/sns-verify-signature-of-message.html
+
+// Certificates are only ever downloaded from SNS itself
+const SNS_CERT_HOST = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+
+// Keys to include in the string to sign, per message type, in order
+const SIGNED_KEYS = {
+  Notification: ["Message", "MessageId", "Subject", "Timestamp", "TopicArn", "Type"],
+  SubscriptionConfirmation: ["Message", "MessageId", "SubscribeURL", "Timestamp", "Token", "TopicArn", "Type"],
+  UnsubscribeConfirmation: ["Message", "MessageId", "SubscribeURL", "Timestamp", "Token", "TopicArn", "Type"],
+};
+
+// Public keys by certificate URL, kept for the lifetime of the isolate
+const keyCache = new Map();
+
+// --------------------
+// Helper functions
+// --------------------
+
+// Check that a URL points at an SNS endpoint over https
+export function isSnsUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === "https:" && SNS_CERT_HOST.test(parsed.hostname);
+  } catch {
+    return false;
+  }
+}
+
+function base64ToBytes(str) {
+  return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+}
+
+// Read one DER TLV at offset; returns { tag, offset, start, end, next }
+function readDer(bytes, offset) {
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let start = offset + 2;
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < count; i++) length = (length << 8) | bytes[start + i];
+    start += count;
+  }
+  return { tag, offset, start, end: start + length, next: start + length };
+}
+
+// Extract the DER-encoded SubjectPublicKeyInfo from a PEM X.509 certificate
+export function extractPublicKeyInfo(pem) {
+  const der = base64ToBytes(pem.replace(/-----(BEGIN|END) CERTIFICATE-----|\s+/g, ""));
+
+  const certificate = readDer(der, 0);
+  const tbs = readDer(der, certificate.start);
+  let field = readDer(der, tbs.start);
+
+  // Skip the optional explicit [0] version
+  if (field.tag === 0xa0) field = readDer(der, field.next);
+
+  // serialNumber, signature, issuer, validity, subject, then subjectPublicKeyInfo
+  for (let i = 0; i < 5; i++) field = readDer(der, field.next);
+
+  return der.slice(field.offset, field.end);
+}
+
+// Build the canonical string SNS signed
+export function buildStringToSign(message) {
+  const keys = SIGNED_KEYS[message.Type];
+  if (!keys) throw new Error(`Unsupported SNS message type: ${message.Type}`);
+  return keys
+    .filter(key => message[key] !== undefined && message[key] !== null)
+    .map(key => `${key}\n${message[key]}\n`)
+    .join("");
+}
+
+async function defaultFetchCertificate(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to download SNS certificate (${response.status})`);
+  return response.text();
+}
+
+// --------------------
+// Verification
+// --------------------
+
+// Verify an SNS message's signature
+// options.fetchCertificate(url) -> PEM text can be injected (tests use a locally generated certificate)
+// options.allowCertUrl(url) -> boolean overrides the sns.*.amazonaws.com check
+export async function verifySnsMessage(message, { fetchCertificate = defaultFetchCertificate, allowCertUrl = isSnsUrl } = {}) {
+  if (!message || !message.Signature || !message.SigningCertURL) return false;
+  if (!allowCertUrl(message.SigningCertURL)) return false;
+
+  const hash = message.SignatureVersion === "2" ? "SHA-256" : message.SignatureVersion === "1" ? "SHA-1" : null;
+  if (!hash) return false;
+
+  const cacheKey = `${hash} ${message.SigningCertURL}`;
+  let key = keyCache.get(cacheKey);
+  if (!key) {
+    const pem = await fetchCertificate(message.SigningCertURL);
+    key = await crypto.subtle.importKey(
+      "spki",
+      extractPublicKeyInfo(pem),
+      { name: "RSASSA-PKCS1-v1_5", hash },
+      false,
+      ["verify"]
+    );
+    keyCache.set(cacheKey, key);
+  }
+
+  let stringToSign;
+  try {
+    stringToSign = buildStringToSign(message);
+  } catch {
+    return false;
+  }
+
+  return crypto.subtle.verify(
+    "RSASSA-PKCS1-v1_5",
+    key,
+    base64ToBytes(message.Signature),
+    new TextEncoder().encode(stringToSign)
+  );
+}
@@ -0,0 +1,82 @@
+// suppression.js
+// Suppression list: addresses we must never mail again (unsubscribed, bounced, complained)
+
+import { createSignedToken } from "./tokens.js";
+
+// Extract the bare address from "Name <address>" style values
+function bareAddress(value) {
+  const match = String(value).match(/<([^>]+)>/);
+  return (match ? match[1] : String(value)).trim().toLowerCase();
+}
+
+// Returns the subset of addresses that are on the suppression list
+// `ignoreReasons` skips entries with those reasons (e.g. ["unsubscribe"] for a re-signup's confirmation email)
+export async function findSuppressed(env, addresses, { ignoreReasons = [] } = {}) {
+  if (!env.DB || !addresses.length) return [];
+
+  const bare = addresses.map(bareAddress);
+  const placeholders = bare.map(() => "?").join(", ");
+  const reasonFilter = ignoreReasons.length ? ` AND reason NOT IN (${ignoreReasons.map(() => "?").join(", ")})` : "";
+  const { results } = await env.DB.prepare(
+    `SELECT email FROM email_suppressions WHERE email IN (${placeholders})${reasonFilter}`
+  ).bind(...bare, ...ignoreReasons).all();
+
+  const suppressed = new Set((results || []).map(row => row.email.toLowerCase()));
+  return addresses.filter(address => suppressed.has(bareAddress(address)));
+}
+
+export async function isSuppressed(env, email, options) {
+  return (await findSuppressed(env, [email], options)).length > 0;
+}
+
+// Reasons that mean the address must never be mailed again; weaker reasons never replace them
+const PERMANENT_REASONS = ["bounce", "complaint"];
+
+// Add an address to the suppression list; reason is one of unsubscribe, bounce, complaint, manual
+// An existing bounce or complaint is kept when the new reason is weaker, so lifting an unsubscribe can't lift it
+export async function suppressEmail(env, email, reason, detail = null) {
+  const permanent = PERMANENT_REASONS.map(() => "?").join(", ");
+  await env.DB.prepare(
+    `INSERT INTO email_suppressions (email, reason, detail)
+     VALUES (?, ?, ?)
+     ON CONFLICT(email) DO UPDATE SET reason = excluded.reason, detail = excluded.detail, updated_at = CURRENT_TIMESTAMP
+     WHERE email_suppressions.reason NOT IN (${permanent}) OR excluded.reason IN (${permanent})`
+  ).bind(bareAddress(email), reason, detail, ...PERMANENT_REASONS, ...PERMANENT_REASONS).run();
+}
+
+// Remove an address from the suppression list, but only if it was suppressed for one of `reasons`
+// Bounces and complaints must stay suppressed, so callers pass e.g. ["unsubscribe"]
+export async function unsuppressEmail(env, email, reasons) {
+  await env.DB.prepare(
+    `DELETE FROM email_suppressions WHERE email = ? AND reason IN (${reasons.map(() => "?").join(", ")})`
+  ).bind(bareAddress(email), ...reasons).run();
+}
+
+// Unsubscribe an address: suppress it and mark any guide subscription as unsubscribed
+// cat_emails keeps addresses as typed, so match case-insensitively; bounced/complained rows keep their status
+export async function unsubscribeEmail(env, email, reason = "unsubscribe") {
+  await suppressEmail(env, email, reason);
+  await env.DB.prepare(
+    `UPDATE cat_emails
+     SET status = 'unsubscribed', unsubscribed_at = CURRENT_TIMESTAMP, confirm_nonce = NULL
+     WHERE lower(email) = ? AND status NOT IN ('bounced', 'complained')`
+  ).bind(bareAddress(email)).run();
+}
+
+// --------------------
+// Unsubscribe links
+// --------------------
+
+// Unsubscribe links never expire so that old emails keep working
+export async function createUnsubscribeUrl(env, origin, email) {
+  const token = await createSignedToken(env.EMAIL_TOKEN_SECRET, { purpose: "unsubscribe", email });
+  return `${origin}/api/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+// RFC 8058 one-click unsubscribe headers
+export function listUnsubscribeHeaders(unsubscribeUrl) {
+  return {
+    "List-Unsubscribe": `<${unsubscribeUrl}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click"
+  };
+}
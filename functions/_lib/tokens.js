@@ -0,0 +1,64 @@
+// tokens.js
+// HMAC-signed, expiring tokens for links sent by email (confirmations, unsubscribes, ...)
+//
+// Format: base64url(JSON payload) + "." + base64url(HMAC-SHA256 signature)
+
+import { hmac } from "./crypto.js";
+
+function base64UrlEncode(input) {
+  const bytes = typeof input === "string" ? new TextEncoder().encode(input) : input;
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlDecode(str) {
+  const binary = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+// Sign a payload; ttlSeconds = null creates a token that never expires
+export async function createSignedToken(secret, payload, ttlSeconds = null) {
+  if (!secret) throw new Error("Token secret is not configured");
+  const body = { ...payload };
+  if (ttlSeconds) body.exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+
+  const encoded = base64UrlEncode(JSON.stringify(body));
+  const signature = base64UrlEncode(await hmac(secret, encoded));
+  return `${encoded}.${signature}`;
+}
+
+// Verify a token; resolves to { valid, expired, payload }
+export async function verifySignedToken(secret, token, purpose) {
+  if (!secret) throw new Error("Token secret is not configured");
+  const invalid = { valid: false, expired: false, payload: null };
+  if (!token || typeof token !== "string") return invalid;
+
+  const [encoded, signature] = token.split(".");
+  if (!encoded || !signature) return invalid;
+
+  const expected = base64UrlEncode(await hmac(secret, encoded));
+  if (!safeEqual(signature, expected)) return invalid;
+
+  let payload;
+  try {
+    payload = JSON.parse(base64UrlDecode(encoded));
+  } catch {
+    return invalid;
+  }
+
+  if (purpose && payload.purpose !== purpose) return invalid;
+  if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
+    return { valid: false, expired: true, payload };
+  }
+
+  return { valid: true, expired: false, payload };
+}
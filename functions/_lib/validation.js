@@ -0,0 +1,83 @@
+// validation.js
+// Declarative form validation for Pages Functions
+//
+// A schema maps field names to rules:
+//   {
+//     email: { type: "email", required: true, maxLength: 254 },
+//     fee:   { type: "currency" },
+//     typeOfUse: { required: true, oneOf: ["editorial", "advertising"] },
+//   }
+// Supported rules: type ("string" | "email" | "currency"), required, minLength, maxLength, oneOf, message
+
+import { jsonResponse } from "./http.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// $1,250.00 / 1250 / 1250.5 / USD 300
+const CURRENCY_PATTERN = /^(?:[A-Z]{3}\s*)?\$?\s*(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?$/i;
+
+// Read a trimmed field from FormData, URLSearchParams or a plain object ("" when missing)
+export function readField(input, name) {
+  if (!input) return "";
+  const value = typeof input.get === "function" ? input.get(name) : input[name];
+  if (value === null || value === undefined) return "";
+  return typeof value === "string" ? value.trim() : String(value).trim();
+}
+
+function checkField(rule, value) {
+  if (!value) {
+    return rule.required ? "This field is required." : null;
+  }
+
+  if (rule.minLength && value.length < rule.minLength) {
+    return `Please enter at least ${rule.minLength} characters.`;
+  }
+  if (rule.maxLength && value.length > rule.maxLength) {
+    return `Please keep this under ${rule.maxLength} characters.`;
+  }
+  if (rule.type === "email" && !EMAIL_PATTERN.test(value)) {
+    return rule.message || "Please enter a valid email.";
+  }
+  if (rule.type === "currency" && !CURRENCY_PATTERN.test(value)) {
+    return rule.message || "Please enter an amount, e.g. 250 or $1,250.00.";
+  }
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    return rule.message || "Please choose one of the listed options.";
+  }
+  return null;
+}
+
+// Normalise a currency string to a plain decimal ("$1,250" -> "1250.00")
+function normalizeCurrency(value) {
+  const match = value.match(CURRENCY_PATTERN);
+  return Number(match[1].replace(/,/g, "") + (match[2] || "")).toFixed(2);
+}
+
+// Validate input against a schema; returns { valid, values, errors }
+// values holds trimmed (and for currency, normalised) strings for every schema field
+export function validate(schema, input) {
+  const values = {};
+  const errors = {};
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const value = readField(input, name);
+    const error = checkField(rule, value);
+    if (error) {
+      errors[name] = error;
+    } else {
+      values[name] = rule.type === "currency" && value ? normalizeCurrency(value) : value;
+    }
+  }
+
+  return { valid: Object.keys(errors).length === 0, values, errors };
+}
+
+// 422 response listing a message per invalid field
+export function validationErrorResponse(errors) {
+  return jsonResponse({
+    success: false,
+    code: "validation_failed",
+    error: Object.values(errors)[0] || "Please check the form and try again.",
+    fields: errors
+  }, 422);
+}
@@ -0,0 +1,35 @@
+// _middleware.js
+// Cloudflare Pages middleware guarding everything under /admin (static page and API)
+//
+// Requires env.ADMIN_PASSWORD and env.ADMIN_SESSION_SECRET.
+
+import { hasValidSession } from "../_lib/admin.js";
+
+// Reachable without a session
+const PUBLIC_PATHS = ["/admin/login"];
+
+export async function onRequest({ request, env, next }) {
+  const url = new URL(request.url);
+
+  if (PUBLIC_PATHS.includes(url.pathname.replace(/\/$/, ""))) {
+    return next();
+  }
+
+  if (await hasValidSession(request, env)) {
+    const response = await next();
+    // Admin pages and data must never be cached by the browser or the edge
+    const headers = new Headers(response.headers);
+    headers.set("Cache-Control", "no-store");
+    headers.set("X-Robots-Tag", "noindex, nofollow");
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+  }
+
+  if (url.pathname.startsWith("/admin/api/")) {
+    return new Response(JSON.stringify({ success: false, error: "Not signed in" }), {
+      status: 401,
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  return Response.redirect(`${url.origin}/admin/login`, 302);
+}
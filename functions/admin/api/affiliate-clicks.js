@@ -0,0 +1,65 @@
+// affiliate-clicks.js
+// Cloudflare Pages Function: GET /admin/api/affiliate-clicks
+// Click report: clicks per product/variant/day plus totals per retailer and per split test arm
+// Supports ?q= (product or variant), ?retailer=, ?platform=, ?from=&to= and ?format=csv
+
+import { buildListFilters, csvResponse } from "../../_lib/admin.js";
+import { withErrorHandling } from "../../_lib/errors.js";
+
+const RETAILERS = ["amazon", "aliexpress", "extralink", "other"];
+const PLATFORMS = ["ios", "android", "desktop"];
+
+const COLUMNS = ["day", "product_key", "variant", "retailer", "arm", "clicks", "ios", "android", "desktop"];
+
+export const onRequestGet = withErrorHandling(async ({ request, env }) => {
+  const url = new URL(request.url);
+  const { where, bindings, isCsv, limit } = buildListFilters(url, {
+    searchColumns: ["product_key", "variant"],
+    statuses: [],
+  });
+
+  const clauses = where ? [where.replace(/^WHERE /, "")] : [];
+  const retailer = url.searchParams.get("retailer");
+  if (RETAILERS.includes(retailer)) {
+    clauses.push("retailer = ?");
+    bindings.push(retailer);
+  }
+  const platform = url.searchParams.get("platform");
+  if (PLATFORMS.includes(platform)) {
+    clauses.push("platform = ?");
+    bindings.push(platform);
+  }
+  const filter = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+
+  const { results } = await env.DB.prepare(
+    `SELECT date(created_at) AS day, product_key, variant, retailer, arm,
+            COUNT(*) AS clicks,
+            SUM(platform = 'ios') AS ios,
+            SUM(platform = 'android') AS android,
+            SUM(platform = 'desktop') AS desktop
+     FROM affiliate_clicks ${filter}
+     GROUP BY day, product_key, variant, retailer, arm
+     ORDER BY day DESC, clicks DESC ${limit}`
+  ).bind(...bindings).all();
+
+  if (isCsv) {
+    return csvResponse("affiliate-clicks.csv", COLUMNS, results);
+  }
+
+  const { results: retailers } = await env.DB.prepare(
+    `SELECT retailer, COUNT(*) AS clicks FROM affiliate_clicks ${filter}
+     GROUP BY retailer ORDER BY clicks DESC`
+  ).bind(...bindings).all();
+
+  // Split tests: clicks per arm, for comparing with each retailer's conversion reports
+  const { results: arms } = await env.DB.prepare(
+    `SELECT product_key, arm, retailer, COUNT(*) AS clicks FROM affiliate_clicks
+     ${filter ? `${filter} AND` : "WHERE"} arm IS NOT NULL
+     GROUP BY product_key, arm, retailer ORDER BY product_key, clicks DESC`
+  ).bind(...bindings).all();
+
+  return new Response(JSON.stringify({ success: true, statuses: [], results, retailers, arms }), {
+    status: 200,
+    headers: { "Content-Type": "application/json" }
+  });
+});
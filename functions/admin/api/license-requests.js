@@ -0,0 +1,32 @@
+// license-requests.js
+// Cloudflare Pages Function: GET /admin/api/license-requests
+// Lists license requests; supports ?q=&status=&from=&to= and ?format=csv
+
+import { buildListFilters, csvResponse } from "../../_lib/admin.js";
+import { withErrorHandling } from "../../_lib/errors.js";
+import { LICENSE_STATUSES } from "../../_lib/license-requests.js";
+
+const COLUMNS = [
+  "reference", "status", "company", "name", "email", "type_of_use",
+  "works", "duration", "fee", "created_at", "updated_at", "status_changed_at"
+];
+
+export const onRequestGet = withErrorHandling(async ({ request, env }) => {
+  const { where, bindings, isCsv, limit } = buildListFilters(new URL(request.url), {
+    searchColumns: ["reference", "company", "name", "email", "works"],
+    statuses: LICENSE_STATUSES,
+  });
+
+  const { results } = await env.DB.prepare(
+    `SELECT ${COLUMNS.join(", ")} FROM license_requests ${where} ORDER BY created_at DESC ${limit}`
+  ).bind(...bindings).all();
+
+  if (isCsv) {
+    return csvResponse("license-requests.csv", COLUMNS, results);
+  }
+
+  return new Response(JSON.stringify({ success: true, statuses: LICENSE_STATUSES, results }), {
+    status: 200,
+    headers: { "Content-Type": "application/json" }
+  });
+});
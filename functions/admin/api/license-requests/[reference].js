@@ -0,0 +1,28 @@
+// [reference].js
+// Cloudflare Pages Function: PATCH /admin/api/license-requests/:reference
+// Body: { "status": "quoted" }
+
+import { ApiError, readJsonObject, withErrorHandling } from "../../../_lib/errors.js";
+import { jsonResponse } from "../../../_lib/http.js";
+import { LICENSE_STATUSES } from "../../../_lib/license-requests.js";
+
+export const onRequestPatch = withErrorHandling(async ({ request, env, params }) => {
+  const { status } = await readJsonObject(request);
+  if (!LICENSE_STATUSES.includes(status)) {
+    throw new ApiError("invalid_request", 422, `Status must be one of: ${LICENSE_STATUSES.join(", ")}`);
+  }
+
+  const result = await env.DB.prepare(
+    `UPDATE license_requests
+     SET status = ?,
+         status_changed_at = CASE WHEN status = ? THEN status_changed_at ELSE CURRENT_TIMESTAMP END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE reference = ?`
+  ).bind(status, status, params.reference).run();
+
+  if (!result.meta || result.meta.changes !== 1) {
+    throw new ApiError("not_found", 404, "License request not found");
+  }
+
+  return jsonResponse({ success: true, reference: params.reference, status }, 200);
+});
@@ -0,0 +1,32 @@
+// subscribers.js
+// Cloudflare Pages Function: GET /admin/api/subscribers
+// Lists cat shelf guide subscribers; supports ?q=&status=&from=&to= and ?format=csv
+
+import { buildListFilters, csvResponse } from "../../_lib/admin.js";
+import { withErrorHandling } from "../../_lib/errors.js";
+
+const STATUSES = ["pending", "confirmed", "unsubscribed", "bounced", "complained"];
+
+const COLUMNS = [
+  "email", "status", "created_at", "confirmed_at", "unsubscribed_at", "last_event", "last_event_at"
+];
+
+export const onRequestGet = withErrorHandling(async ({ request, env }) => {
+  const { where, bindings, isCsv, limit } = buildListFilters(new URL(request.url), {
+    searchColumns: ["email"],
+    statuses: STATUSES,
+  });
+
+  const { results } = await env.DB.prepare(
+    `SELECT ${COLUMNS.join(", ")} FROM cat_emails ${where} ORDER BY created_at DESC ${limit}`
+  ).bind(...bindings).all();
+
+  if (isCsv) {
+    return csvResponse("subscribers.csv", COLUMNS, results);
+  }
+
+  return new Response(JSON.stringify({ success: true, statuses: STATUSES, results }), {
+    status: 200,
+    headers: { "Content-Type": "application/json" }
+  });
+});
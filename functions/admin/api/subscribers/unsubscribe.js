@@ -0,0 +1,17 @@
+// unsubscribe.js
+// Cloudflare Pages Function: POST /admin/api/subscribers/unsubscribe
+// Body: { "email": "someone@example.com" }
+
+import { ApiError, readJsonObject, withErrorHandling } from "../../../_lib/errors.js";
+import { jsonResponse } from "../../../_lib/http.js";
+import { unsubscribeEmail } from "../../../_lib/suppression.js";
+
+export const onRequestPost = withErrorHandling(async ({ request, env }) => {
+  const { email } = await readJsonObject(request);
+  if (!email || typeof email !== "string") {
+    throw new ApiError("invalid_request", 422, "Missing email");
+  }
+
+  await unsubscribeEmail(env, email, "manual");
+  return jsonResponse({ success: true, email }, 200);
+});
@@ -0,0 +1,61 @@
+// login.js
+// Cloudflare Pages Function: GET/POST /admin/login
+
+import { checkAdminPassword, createSessionCookie } from "../_lib/admin.js";
+import { htmlPage } from "../_lib/http.js";
+import { checkProtection } from "../_lib/protection.js";
+
+// Slow down password guessing
+const LOGIN_PROTECTION = {
+  name: "admin-login",
+  rateLimit: {
+    perIp: { limit: 10, windowSeconds: 15 * 60 },
+  },
+};
+
+function loginPage(message = "Enter the admin password to continue.", status = 200) {
+  return htmlPage({
+    title: "Admin sign in",
+    message,
+    body: `<form method="POST" action="/admin/login">
+      <p><input type="password" name="password" autocomplete="current-password" required autofocus
+                style="padding: 0.5rem; border: 1px solid #ccc; border-radius: 6px; font-size: 1rem; width: 100%; box-sizing: border-box;"></p>
+      <button type="submit">Sign in</button>
+    </form>`,
+    status
+  });
+}
+
+// --------------------
+// Main functions
+// --------------------
+export async function onRequestGet() {
+  return loginPage();
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  try {
+    const blocked = await checkProtection(context, null, LOGIN_PROTECTION);
+    if (blocked) {
+      return loginPage("Too many attempts. Please wait a few minutes and try again.", 429);
+    }
+
+    const formData = await request.formData();
+    if (!(await checkAdminPassword(env, formData.get("password")))) {
+      return loginPage("That password isn't right.", 401);
+    }
+
+    return new Response(null, {
+      status: 302,
+      headers: {
+        "Location": "/admin/",
+        "Set-Cookie": await createSessionCookie(env)
+      }
+    });
+
+  } catch (err) {
+    console.error(err);
+    return loginPage("Something went wrong. Please try again.", 500);
+  }
+}
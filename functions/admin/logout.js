@@ -0,0 +1,14 @@
+// logout.js
+// Cloudflare Pages Function: POST /admin/logout
+
+import { clearSessionCookie } from "../_lib/admin.js";
+
+export async function onRequestPost() {
+  return new Response(null, {
+    status: 302,
+    headers: {
+      "Location": "/admin/login",
+      "Set-Cookie": clearSessionCookie()
+    }
+  });
+}
@@ -0,0 +1,41 @@
+// [[path]].js
+// Cloudflare Pages Function: GET /affiliate/<slug>.html?variant=... and /affiliate/amzn/<variant>.html
+// Redirects previously shared preview links at the edge instead of in the browser.
+// Requests without a known variant (or with ?skipredirect=true) get the static preview page as before.
+
+import { handleAffiliateRequest } from "../_lib/affiliate-links.js";
+
+// Preview page slugs that are product keys themselves; every other slug is product/<slug>
+const TOP_LEVEL_KEYS = ["home", "about", "product", "cat-shelf-guide"];
+
+export async function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const segments = [].concat(context.params.path || []).filter(Boolean);
+  const lastSegment = segments[segments.length - 1] || "";
+  const slug = lastSegment.replace(/\.html$/, "");
+
+  // Other files next to the previews (e.g. the -og.jpg social cards) are plain static assets
+  const isAsset = /\.[a-z0-9]+$/i.test(slug);
+
+  if (url.searchParams.get("skipredirect") === "true" || !slug || isAsset) {
+    return context.next();
+  }
+
+  let productKey;
+  let variant = url.searchParams.get("variant");
+  if (segments.length === 2 && segments[0] === "amzn") {
+    productKey = "amzn";
+    variant = variant || (slug !== "index" ? slug : null);
+  } else if (segments.length === 1) {
+    productKey = TOP_LEVEL_KEYS.includes(slug) ? slug : `product/${slug}`;
+  } else {
+    return context.next();
+  }
+
+  // The variant may only be in the URL fragment, which only the page's own script can read
+  if (!variant) {
+    return context.next();
+  }
+
+  return handleAffiliateRequest(context, { productKey, variant });
+}
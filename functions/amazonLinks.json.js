@@ -0,0 +1,12 @@
+// amazonLinks.json.js
+// Cloudflare Pages Function: /amazonLinks.json
+// The affiliate link map stays in the repo because the Functions bundle it at build time (see
+// _lib/affiliate-links.js), but the deployed static copy must not be downloadable: every link is
+// resolved at the edge, so the full map is answered with a 404.
+
+export async function onRequest() {
+  return new Response("Not found", {
+    status: 404,
+    headers: { "Cache-Control": "public, max-age=300", "X-Robots-Tag": "noindex" }
+  });
+}
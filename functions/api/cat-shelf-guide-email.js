@@ -1,172 +1,81 @@
 // cat-shelf-guide-email.js
-// Cloudflare Pages Function to send cat-shelf-guide via AWS SES
+// Cloudflare Pages Function to sign up for the cat-shelf-guide (double opt-in via AWS SES)
+// Emails are queued in the outbox and sent after the response, so SES hiccups never lose a signup
+
+import { SIGNUP_PROTECTION, SIGNUP_SCHEMA, createConfirmUrl, queueConfirmationEmail, queueGuideEmail } from "../_lib/cat-shelf-guide.js";
+import { ApiError, readJson, withErrorHandling } from "../_lib/errors.js";
+import { jsonResponse } from "../_lib/http.js";
+import { drainOutbox } from "../_lib/outbox.js";
+import { checkProtection } from "../_lib/protection.js";
+import { isSuppressed } from "../_lib/suppression.js";
+import { validate, validationErrorResponse } from "../_lib/validation.js";
 
 // --------------------
 // Helper functions
 // --------------------
 
-// Hash a string using SHA-256
-async function hash(str) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(str);
-  const digest = await crypto.subtle.digest("SHA-256", data);
-  return Array.from(new Uint8Array(digest))
-              .map(b => b.toString(16).padStart(2, "0"))
-              .join("");
-}
-
-// HMAC with SHA-256
-async function hmac(key, str) {
-  const cryptoKey = await crypto.subtle.importKey(
-    "raw",
-    key,
-    { name: "HMAC", hash: "SHA-256" },
-    false,
-    ["sign"]
-  );
-  const signature = await crypto.subtle.sign(
-    "HMAC",
-    cryptoKey,
-    new TextEncoder().encode(str)
-  );
-  return new Uint8Array(signature);
-}
-
-// Convert ArrayBuffer/Uint8Array to hex string
-function toHex(arrayBuffer) {
-  return Array.from(arrayBuffer)
-              .map(b => b.toString(16).padStart(2, "0"))
-              .join("");
-}
-
-// Generate signing key for AWS Signature v4
-async function getSignatureKey(key, dateStamp, regionName, serviceName) {
-  const encoder = new TextEncoder();
-  let kDate = await hmac(encoder.encode("AWS4" + key), dateStamp);
-  let kRegion = await hmac(kDate, regionName);
-  let kService = await hmac(kRegion, serviceName);
-  let kSigning = await hmac(kService, "aws4_request");
-  return kSigning;
-}
-
-// Sign request using AWS Signature v4
-async function signAWSv4({ method, url, region, service, body, accessKeyId, secretKey }) {
-  const now = new Date();
-  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
-  const dateStamp = amzDate.slice(0, 8);
-
-  const parsedUrl = new URL(url);
-  const host = parsedUrl.host;
-  const canonicalUri = parsedUrl.pathname;
-  const canonicalQuerystring = "";
-
-  const canonicalHeaders = `content-type:application/x-www-form-urlencoded\nhost:${host}\nx-amz-date:${amzDate}\n`;
-  const signedHeaders = "content-type;host;x-amz-date";
-
-  const payloadHash = await hash(body);
-  const canonicalRequest = `${method}\n${canonicalUri}\n${canonicalQuerystring}\n${canonicalHeaders}\n${signedHeaders}\n${payloadHash}`;
-
-  const algorithm = "AWS4-HMAC-SHA256";
-  const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
-  const stringToSign = `${algorithm}\n${amzDate}\n${credentialScope}\n${await hash(canonicalRequest)}`;
-
-  const signingKey = await getSignatureKey(secretKey, dateStamp, region, service);
-  const signature = toHex(await hmac(signingKey, stringToSign));
-
-  const authorizationHeader = `${algorithm} Credential=${accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
-
-  return {
-    "Authorization": authorizationHeader,
-    "X-Amz-Date": amzDate
-  };
+// Every accepted signup gets the same answer, whether or not an email goes out
+function acceptedResponse() {
+  return jsonResponse({ success: true }, 202);
 }
 
 // --------------------
 // Main function
 // --------------------
-export async function onRequestPost({ request, env }) {
-  try {
-    const { email } = await request.json();
+export const onRequestPost = withErrorHandling(async context => {
+  const { request, env, waitUntil } = context;
+  const body = await readJson(request);
 
-    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-      return new Response(JSON.stringify({ success: false, error: "Invalid email address" }), {
-        status: 400,
-        headers: { "Content-Type": "application/json" }
-      });
-    }
-
-    // --- 1. Log email to database ---
-    // Example using D1 (SQLite) or KV:
-    // Replace with your own database logic
-    if (env.DB) {
-      try {
-        // If using D1 (Pages D1)
-        await env.DB.prepare(`INSERT OR IGNORE INTO cat_emails (email) VALUES (?)`)
-                    .bind(email)
-                    .run();
-      } catch (dbErr) {
-        console.error("Database error:", dbErr);
-      }
-    }
-
-    // --- 2. Send email using SES ---
-    const region = "us-east-2"; // SES region
-    const accessKeyId = env.AWS_ACCESS_KEY_ID;
-    const secretKey = env.AWS_SECRET_ACCESS_KEY;
-    const from = "david@outdoorsavannah.com";
-    const to = email;
+  const { valid, values, errors } = validate(SIGNUP_SCHEMA, body);
+  if (!valid) {
+    return validationErrorResponse(errors);
+  }
+  const { email } = values;
 
-    const endpoint = `https://email.${region}.amazonaws.com/`;
+  const blocked = await checkProtection(context, body, SIGNUP_PROTECTION, { email });
+  if (blocked) {
+    return blocked;
+  }
 
-    // Construct SES API parameters
-    const params = new URLSearchParams({
-      Action: "SendEmail",
-      Source: from,
-      "Destination.ToAddresses.member.1": to,
-      "Message.Subject.Data": "Your Cat Shelf Guide",
-      "Message.Body.Text.Data": `Hi! Thanks for requesting the Cat Shelf Guide. Here it is:\n\n[Insert guide link or text here]`
-    });
+  if (!env.DB) {
+    throw new ApiError("service_unavailable", 503, undefined, "DB binding is not configured");
+  }
 
-    // Generate signed headers
-    const signedHeaders = await signAWSv4({
-      method: "POST",
-      url: endpoint,
-      region,
-      service: "ses",
-      body: params.toString(),
-      accessKeyId,
-      secretKey
-    });
+  // --- 1. Bounced or complained addresses are never mailed; don't reveal that to the caller ---
+  // They get exactly the response of a real signup. Unsubscribed addresses may sign up again:
+  // they get a confirmation link, and confirming lifts the suppression
+  if (await isSuppressed(env, email, { ignoreReasons: ["unsubscribe"] })) {
+    return acceptedResponse();
+  }
 
-    // Send the request
-    const response = await fetch(endpoint, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-        ...signedHeaders
-      },
-      body: params.toString()
-    });
+  // --- 2. Already confirmed: just resend the guide ---
+  const origin = new URL(request.url).origin;
+  const existing = await env.DB.prepare(`SELECT status FROM cat_emails WHERE email = ?`)
+                               .bind(email)
+                               .first();
+
+  let queued;
+  if (existing && existing.status === "confirmed") {
+    queued = await queueGuideEmail(env, origin, email);
+  } else {
+    // --- 3. Store as pending with a fresh single-use nonce ---
+    const nonce = crypto.randomUUID();
+    await env.DB.prepare(
+      `INSERT INTO cat_emails (email, status, confirm_nonce, confirmation_sent_at)
+       VALUES (?, 'pending', ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(email) DO UPDATE SET
+         status = 'pending',
+         confirm_nonce = excluded.confirm_nonce,
+         confirmation_sent_at = excluded.confirmation_sent_at`
+    ).bind(email, nonce).run();
+
+    // --- 4. Queue confirmation link ---
+    const confirmUrl = await createConfirmUrl(env, origin, email, nonce);
+    queued = await queueConfirmationEmail(env, origin, email, confirmUrl);
+  }
 
-    if (response.ok) {
-      return new Response(JSON.stringify({ success: true }), {
-        status: 200,
-        headers: { "Content-Type": "application/json" }
-      });
-    } else {
-      const text = await response.text();
-      console.error(text);
-      return new Response(JSON.stringify({ success: false, error: text }), {
-        status: 500,
-        headers: { "Content-Type": "application/json" }
-      });
-    }
+  // --- 5. Try to send right away; failures are retried by the scheduled outbox worker ---
+  waitUntil(drainOutbox(env, { ids: [queued.id] }).catch(err => console.error("Outbox drain error:", err)));
 
-  } catch (err) {
-    console.error(err);
-    return new Response(JSON.stringify({ success: false, error: err.message }), {
-      status: 500,
-      headers: { "Content-Type": "application/json" }
-    });
-  }
-}
+  return acceptedResponse();
+});
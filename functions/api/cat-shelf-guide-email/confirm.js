@@ -0,0 +1,125 @@
+// confirm.js
+// Cloudflare Pages Function for the cat-shelf-guide confirmation link
+//
+// GET  /api/cat-shelf-guide-email/confirm?token=...  shows a confirmation button (link scanners must not confirm people)
+// POST /api/cat-shelf-guide-email/confirm?token=...  confirms the pending signup and delivers the guide
+
+import { SIGNUP_PAGE, queueGuideEmail } from "../../_lib/cat-shelf-guide.js";
+import { escapeHtml, htmlPage } from "../../_lib/http.js";
+import { drainOutbox } from "../../_lib/outbox.js";
+import { unsuppressEmail } from "../../_lib/suppression.js";
+import { verifySignedToken } from "../../_lib/tokens.js";
+
+const signupLink = `<a class="button" href="${SIGNUP_PAGE}">Request a new link</a>`;
+
+// --------------------
+// Helper functions
+// --------------------
+
+// Verify the token; resolves to { payload } or { page } with the error page to show
+async function readConfirmToken(request, env) {
+  const token = new URL(request.url).searchParams.get("token");
+  const { valid, expired, payload } = await verifySignedToken(env.EMAIL_TOKEN_SECRET, token, "confirm");
+
+  if (expired) {
+    return {
+      page: htmlPage({
+        title: "This link has expired",
+        message: "Confirmation links are valid for 48 hours. Please sign up again and we'll send you a fresh one.",
+        body: signupLink,
+        status: 410
+      })
+    };
+  }
+
+  if (!valid) {
+    return {
+      page: htmlPage({
+        title: "This link isn't valid",
+        message: "We couldn't read this confirmation link. Make sure you copied the whole link from the email.",
+        body: signupLink,
+        status: 400
+      })
+    };
+  }
+
+  return { payload };
+}
+
+function errorPage() {
+  return htmlPage({
+    title: "Something went wrong",
+    message: "We couldn't confirm your email right now. Please try again later.",
+    status: 500
+  });
+}
+
+// --------------------
+// Main functions
+// --------------------
+export async function onRequestGet({ request, env }) {
+  try {
+    const { page } = await readConfirmToken(request, env);
+    if (page) return page;
+
+    const url = new URL(request.url);
+    return htmlPage({
+      title: "Confirm your email",
+      message: "Click below to confirm your address and we'll send the Cat Shelf Guide to your inbox.",
+      body: `<form method="POST" action="${escapeHtml(url.pathname + url.search)}"><button type="submit">Confirm</button></form>`
+    });
+
+  } catch (err) {
+    console.error(err);
+    return errorPage();
+  }
+}
+
+export async function onRequestPost({ request, env, waitUntil }) {
+  try {
+    const { page, payload } = await readConfirmToken(request, env);
+    if (page) return page;
+
+    // --- Consume the nonce; only the latest link for a pending row can succeed ---
+    const update = await env.DB.prepare(
+      `UPDATE cat_emails
+       SET status = 'confirmed', confirmed_at = CURRENT_TIMESTAMP, confirm_nonce = NULL
+       WHERE email = ? AND status = 'pending' AND confirm_nonce = ?`
+    ).bind(payload.email, payload.nonce).run();
+
+    if (!update.meta || update.meta.changes !== 1) {
+      const row = await env.DB.prepare(`SELECT status FROM cat_emails WHERE email = ?`)
+                              .bind(payload.email)
+                              .first();
+
+      if (row && row.status === "confirmed") {
+        return htmlPage({
+          title: "You're already confirmed",
+          message: "This link has already been used. The guide was sent to your inbox — check your spam folder if you can't find it."
+        });
+      }
+
+      return htmlPage({
+        title: "This link has already been used",
+        message: "A newer confirmation link may have been sent to you. Please use the most recent email, or sign up again.",
+        body: signupLink,
+        status: 409
+      });
+    }
+
+    // --- A confirmed re-signup undoes an earlier unsubscribe (never a bounce or complaint) ---
+    await unsuppressEmail(env, payload.email, ["unsubscribe"]);
+
+    const queued = await queueGuideEmail(env, new URL(request.url).origin, payload.email);
+    waitUntil(drainOutbox(env, { ids: [queued.id] }).catch(err => console.error("Outbox drain error:", err)));
+
+    return htmlPage({
+      title: "You're confirmed!",
+      message: "Thanks for confirming. The Cat Shelf Guide is on its way to your inbox."
+    });
+
+  } catch (err) {
+    console.error(err);
+    return errorPage();
+  }
+}
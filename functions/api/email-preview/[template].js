@@ -0,0 +1,48 @@
+// [template].js
+// Cloudflare Pages Function: GET /api/email-preview/:template (development only)
+// Renders an email template with its sample data; add ?format=text for the plain-text version
+// and any other query parameter to override a sample variable.
+//
+// Only served on localhost, or when env.EMAIL_PREVIEW_ENABLED is "true" (e.g. a preview deployment).
+
+import { renderEmail, templates } from "../../_lib/email-templates.js";
+import { escapeHtml } from "../../_lib/http.js";
+
+function isPreviewAllowed(url, env) {
+  return env.EMAIL_PREVIEW_ENABLED === "true" || ["localhost", "127.0.0.1"].includes(url.hostname);
+}
+
+export async function onRequestGet({ request, env, params }) {
+  const url = new URL(request.url);
+  if (!isPreviewAllowed(url, env)) {
+    return new Response("Not found", { status: 404 });
+  }
+
+  const template = templates[params.template];
+  if (!template) {
+    const links = Object.keys(templates)
+      .map(name => `<li><a href="/api/email-preview/${escapeHtml(name)}">${escapeHtml(name)}</a></li>`)
+      .join("");
+    return new Response(`<!DOCTYPE html><title>Email templates</title><h1>Unknown template</h1><ul>${links}</ul>`, {
+      status: 404,
+      headers: { "Content-Type": "text/html; charset=UTF-8" }
+    });
+  }
+
+  const vars = { siteUrl: url.origin, ...template.sample };
+  for (const [key, value] of url.searchParams) {
+    if (key !== "format") vars[key] = value;
+  }
+
+  const { subject, html, text } = renderEmail(params.template, vars);
+
+  if (url.searchParams.get("format") === "text") {
+    return new Response(`Subject: ${subject}\n\n${text}`, {
+      headers: { "Content-Type": "text/plain; charset=UTF-8" }
+    });
+  }
+
+  return new Response(html, {
+    headers: { "Content-Type": "text/html; charset=UTF-8" }
+  });
+}
@@ -0,0 +1,28 @@
+// form-token.js
+// Cloudflare Pages Function: GET /api/form-token?form=<name>
+// Called by the public forms when they load. Returns the signed "_started" token for the time-to-submit
+// check and the Turnstile site key (null until TURNSTILE_SITE_KEY is configured). See protection.js.
+
+import { SIGNUP_PROTECTION } from "../_lib/cat-shelf-guide.js";
+import { ApiError, withErrorHandling } from "../_lib/errors.js";
+import { jsonResponse } from "../_lib/http.js";
+import { LICENSE_REQUEST_PROTECTION } from "../_lib/license-requests.js";
+import { createFormToken } from "../_lib/protection.js";
+
+// Forms protected by checkProtection() with a minimum time-to-submit
+const FORMS = [SIGNUP_PROTECTION.name, LICENSE_REQUEST_PROTECTION.name];
+
+// --------------------
+// Main function
+// --------------------
+export const onRequestGet = withErrorHandling(async ({ request, env }) => {
+  const form = new URL(request.url).searchParams.get("form");
+  if (!FORMS.includes(form)) {
+    throw new ApiError("not_found", 404, undefined, `Unknown form ${form}`);
+  }
+
+  return jsonResponse({
+    token: await createFormToken(env, form),
+    turnstileSiteKey: env.TURNSTILE_SITE_KEY || null
+  }, 200, { "Cache-Control": "no-store" });
+});
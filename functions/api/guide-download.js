@@ -0,0 +1,175 @@
+// guide-download.js
+// Cloudflare Pages Function: GET /api/guide-download?token=...
+// Serves the cat shelf guide PDF to confirmed subscribers through signed, expiring links
+//
+// The PDF is read from the GUIDE_BUCKET R2 binding (key GUIDE_OBJECT_KEY, default "cat-shelf-guide.pdf").
+// In local development without R2, set GUIDE_LOCAL_PATH to a static asset path (e.g. "/downloads/cat-shelf-guide.pdf").
+// Range requests are supported so large downloads can resume.
+
+import { DOWNLOAD_TOKEN_DAYS, SIGNUP_PAGE } from "../_lib/cat-shelf-guide.js";
+import { htmlPage } from "../_lib/http.js";
+import { verifySignedToken } from "../_lib/tokens.js";
+
+const DOWNLOAD_FILENAME = "cat-shelf-guide.pdf";
+
+const signupLink = `<a class="button" href="${SIGNUP_PAGE}">Get a new link</a>`;
+
+// --------------------
+// Helper functions
+// --------------------
+
+// Parse a single "bytes=start-end" range; returns { offset, length }, null (no/ignored range) or "invalid"
+function parseRange(header, size) {
+  if (!header) return null;
+  const match = header.match(/^bytes=(\d*)-(\d*)$/);
+  // Multiple ranges are not supported; serve the whole file instead
+  if (!match) return null;
+
+  let start;
+  let end;
+  if (match[1] === "") {
+    // Suffix range: the last N bytes
+    const suffix = Number(match[2]);
+    if (!suffix) return "invalid";
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return "invalid";
+  return { offset: start, length: end - start + 1 };
+}
+
+// Open the guide from R2 or the local dev asset; returns { size, etag, read(range) } or null
+async function openGuide(env, request) {
+  if (env.GUIDE_BUCKET) {
+    const key = env.GUIDE_OBJECT_KEY || DOWNLOAD_FILENAME;
+    const head = await env.GUIDE_BUCKET.head(key);
+    if (!head) return null;
+    return {
+      size: head.size,
+      etag: head.httpEtag,
+      read: async range => (await env.GUIDE_BUCKET.get(key, range ? { range } : {})).body,
+    };
+  }
+
+  if (env.GUIDE_LOCAL_PATH && env.ASSETS) {
+    const response = await env.ASSETS.fetch(new URL(env.GUIDE_LOCAL_PATH, request.url));
+    if (!response.ok) return null;
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    return {
+      size: bytes.length,
+      etag: response.headers.get("ETag"),
+      read: async range => (range ? bytes.slice(range.offset, range.offset + range.length) : bytes),
+    };
+  }
+
+  return null;
+}
+
+async function logDownload(env, request, email) {
+  const ip = request.headers.get("CF-Connecting-IP");
+  const userAgent = request.headers.get("User-Agent");
+  await env.DB.batch([
+    env.DB.prepare(
+      `INSERT INTO guide_downloads (cat_email_id, email, ip, user_agent)
+       VALUES ((SELECT id FROM cat_emails WHERE email = ?), ?, ?, ?)`
+    ).bind(email, email, ip, userAgent),
+    env.DB.prepare(
+      `UPDATE cat_emails SET download_count = download_count + 1, last_downloaded_at = CURRENT_TIMESTAMP WHERE email = ?`
+    ).bind(email),
+  ]);
+}
+
+// --------------------
+// Main function
+// --------------------
+export async function onRequestGet({ request, env, waitUntil }) {
+  try {
+    const token = new URL(request.url).searchParams.get("token");
+    const { valid, expired, payload } = await verifySignedToken(env.EMAIL_TOKEN_SECRET, token, "download");
+
+    if (expired) {
+      return htmlPage({
+        title: "This download link has expired",
+        message: `Download links are valid for ${DOWNLOAD_TOKEN_DAYS} days. Sign up again with the same email address and we'll send you a fresh one.`,
+        body: signupLink,
+        status: 410
+      });
+    }
+
+    if (!valid) {
+      return htmlPage({
+        title: "This link isn't valid",
+        message: "We couldn't read this download link. Make sure you copied the whole link from the email.",
+        body: signupLink,
+        status: 400
+      });
+    }
+
+    const subscriber = await env.DB.prepare(`SELECT status FROM cat_emails WHERE email = ?`)
+                                   .bind(payload.email)
+                                   .first();
+    if (!subscriber || subscriber.status !== "confirmed") {
+      return htmlPage({
+        title: "This link is no longer active",
+        message: "This download link belongs to a subscription that is no longer active. Sign up again to get the guide.",
+        body: signupLink,
+        status: 403
+      });
+    }
+
+    const guide = await openGuide(env, request);
+    if (!guide) {
+      console.error("Cat shelf guide PDF is not available (check GUIDE_BUCKET / GUIDE_OBJECT_KEY)");
+      return htmlPage({
+        title: "The guide is temporarily unavailable",
+        message: "Sorry! Please try your link again in a little while.",
+        status: 503
+      });
+    }
+
+    const headers = new Headers({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${DOWNLOAD_FILENAME}"`,
+      "Accept-Ranges": "bytes",
+      "Cache-Control": "private, no-store",
+      "X-Robots-Tag": "noindex"
+    });
+    if (guide.etag) headers.set("ETag", guide.etag);
+
+    // Ignore the range if the file changed since the partial download started
+    const ifRange = request.headers.get("If-Range");
+    const rangeHeader = ifRange && ifRange !== guide.etag ? null : request.headers.get("Range");
+    const range = parseRange(rangeHeader, guide.size);
+
+    if (range === "invalid") {
+      headers.set("Content-Range", `bytes */${guide.size}`);
+      return new Response(null, { status: 416, headers });
+    }
+
+    // Count a download once, not once per resumed chunk
+    if (!range || range.offset === 0) {
+      waitUntil(logDownload(env, request, payload.email).catch(err => console.error("Download log error:", err)));
+    }
+
+    if (range) {
+      headers.set("Content-Range", `bytes ${range.offset}-${range.offset + range.length - 1}/${guide.size}`);
+      headers.set("Content-Length", String(range.length));
+      return new Response(await guide.read(range), { status: 206, headers });
+    }
+
+    headers.set("Content-Length", String(guide.size));
+    return new Response(await guide.read(null), { status: 200, headers });
+
+  } catch (err) {
+    console.error(err);
+    return htmlPage({
+      title: "Something went wrong",
+      message: "We couldn't start your download right now. Please try again later.",
+      status: 500
+    });
+  }
+}
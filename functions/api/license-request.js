@@ -1,166 +1,56 @@
 // license-request.js
-// Cloudflare Pages Function to send license request via AWS SES
-
-// --------------------
-// Helper functions
-// --------------------
-
-// Hash a string using SHA-256
-async function hash(str) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(str);
-  const digest = await crypto.subtle.digest("SHA-256", data);
-  return Array.from(new Uint8Array(digest))
-              .map(b => b.toString(16).padStart(2, "0"))
-              .join("");
-}
-
-// HMAC with SHA-256
-async function hmac(key, str) {
-  const cryptoKey = await crypto.subtle.importKey(
-    "raw",
-    key,
-    { name: "HMAC", hash: "SHA-256" },
-    false,
-    ["sign"]
-  );
-  const signature = await crypto.subtle.sign(
-    "HMAC",
-    cryptoKey,
-    new TextEncoder().encode(str)
-  );
-  return new Uint8Array(signature);
-}
-
-// Convert ArrayBuffer/Uint8Array to hex string
-function toHex(arrayBuffer) {
-  return Array.from(arrayBuffer)
-              .map(b => b.toString(16).padStart(2, "0"))
-              .join("");
-}
-
-// Generate signing key for AWS Signature v4
-async function getSignatureKey(key, dateStamp, regionName, serviceName) {
-  const encoder = new TextEncoder();
-  let kDate = await hmac(encoder.encode("AWS4" + key), dateStamp);
-  let kRegion = await hmac(kDate, regionName);
-  let kService = await hmac(kRegion, serviceName);
-  let kSigning = await hmac(kService, "aws4_request");
-  return kSigning;
-}
-
-// Sign request using AWS Signature v4
-async function signAWSv4({ method, url, region, service, body, accessKeyId, secretKey }) {
-  const now = new Date();
-  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
-  const dateStamp = amzDate.slice(0, 8);
-
-  const parsedUrl = new URL(url);
-  const host = parsedUrl.host;
-  const canonicalUri = parsedUrl.pathname;
-  const canonicalQuerystring = "";
-
-  const canonicalHeaders = `content-type:application/x-www-form-urlencoded\nhost:${host}\nx-amz-date:${amzDate}\n`;
-  const signedHeaders = "content-type;host;x-amz-date";
-
-  const payloadHash = await hash(body);
-  const canonicalRequest = `${method}\n${canonicalUri}\n${canonicalQuerystring}\n${canonicalHeaders}\n${signedHeaders}\n${payloadHash}`;
-
-  const algorithm = "AWS4-HMAC-SHA256";
-  const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
-  const stringToSign = `${algorithm}\n${amzDate}\n${credentialScope}\n${await hash(canonicalRequest)}`;
-
-  const signingKey = await getSignatureKey(secretKey, dateStamp, region, service);
-  const signature = toHex(await hmac(signingKey, stringToSign));
-
-  const authorizationHeader = `${algorithm} Credential=${accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
-
-  return {
-    "Authorization": authorizationHeader,
-    "X-Amz-Date": amzDate
-  };
-}
+// Cloudflare Pages Function to store a license request in D1 and notify via AWS SES
+// Emails are queued in the outbox and sent after the response, so SES hiccups never lose a request
+
+import {
+  LICENSE_REQUEST_PROTECTION,
+  LICENSE_REQUEST_SCHEMA,
+  insertLicenseRequest,
+  queueLicenseAcknowledgement,
+  queueLicenseNotification
+} from "../_lib/license-requests.js";
+import { ApiError, readFormData, withErrorHandling } from "../_lib/errors.js";
+import { drainOutbox } from "../_lib/outbox.js";
+import { checkProtection } from "../_lib/protection.js";
+import { validate, validationErrorResponse } from "../_lib/validation.js";
 
 // --------------------
 // Main function
 // --------------------
-export async function onRequestPost({ request, env }) {
-  try {
-    const formData = await request.formData();
-
-    const company    = formData.get('company') || '';
-    const name       = formData.get('name') || '';
-    const email      = formData.get('email') || '';
-    const typeOfUse  = formData.get('typeOfUse') || '';
-    const works      = formData.get('works') || '';
-    const duration   = formData.get('duration') || '';
-    const fee        = formData.get('fee') || '';
-
-    const emailBody = `
-Company: ${company}
-Name: ${name}
-Email: ${email}
-Type of Use: ${typeOfUse}
-List of Works to License:
-${works}
-Duration of Use: ${duration}
-Proposed Fee: ${fee}
-`;
-
-    const region = "us-east-2"; // your SES region
-    const accessKeyId = env.AWS_ACCESS_KEY_ID;
-    const secretKey = env.AWS_SECRET_ACCESS_KEY;
-    const from = "david@outdoorsavannah.com";   // verified SES sender
-    const to = "david@outdoorsavannah.com";     // recipient
+export const onRequestPost = withErrorHandling(async context => {
+  const { request, env, waitUntil } = context;
+  const formData = await readFormData(request);
 
-    const endpoint = `https://email.${region}.amazonaws.com/`;
-
-    const params = new URLSearchParams({
-      Action: "SendEmail",
-      "Source": from,
-      "Destination.ToAddresses.member.1": to,
-      "Message.Subject.Data": "New License Request",
-      "Message.Body.Text.Data": emailBody,
-    });
-
-    const signedHeaders = await signAWSv4({
-      method: "POST",
-      url: endpoint,
-      region,
-      service: "ses",
-      body: params.toString(),
-      accessKeyId,
-      secretKey
-    });
-
-    const response = await fetch(endpoint, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-        ...signedHeaders
-      },
-      body: params.toString()
-    });
+  const { valid, values, errors } = validate(LICENSE_REQUEST_SCHEMA, formData);
+  if (!valid) {
+    return validationErrorResponse(errors);
+  }
 
-    if (response.ok) {
-      return new Response(JSON.stringify({ success: true }), {
-        status: 200,
-        headers: { "Content-Type": "application/json" }
-      });
-    } else {
-      const text = await response.text();
-      console.error(text);
-      return new Response(JSON.stringify({ success: false, error: text }), {
-        status: 500,
-        headers: { "Content-Type": "application/json" }
-      });
-    }
+  const blocked = await checkProtection(context, formData, LICENSE_REQUEST_PROTECTION, { email: values.email });
+  if (blocked) {
+    return blocked;
+  }
 
-  } catch (err) {
-    console.error(err);
-    return new Response(JSON.stringify({ success: false, error: err.message }), {
-      status: 500,
-      headers: { "Content-Type": "application/json" }
-    });
+  if (!env.DB) {
+    throw new ApiError("service_unavailable", 503, undefined, "DB binding is not configured");
   }
-}
+
+  // --- 1. Store the request first so it is never lost ---
+  const reference = await insertLicenseRequest(env, values);
+  const licenseRequest = { reference, ...values };
+
+  // --- 2. Queue the notification to our inbox and the acknowledgement to the requester ---
+  const queued = await Promise.all([
+    queueLicenseNotification(env, licenseRequest),
+    queueLicenseAcknowledgement(env, licenseRequest),
+  ]);
+
+  // --- 3. Try to send right away; failures are retried by the scheduled outbox worker ---
+  const ids = queued.map(q => q.id);
+  waitUntil(drainOutbox(env, { ids }).catch(err => console.error(`License request ${reference} outbox drain error:`, err)));
+
+  return new Response(JSON.stringify({ success: true, reference }), {
+    status: 202,
+    headers: { "Content-Type": "application/json" }
+  });
+});
@@ -0,0 +1,148 @@
+// ses-notifications.js
+// Cloudflare Pages Function receiving SES bounce/complaint/delivery notifications from Amazon SNS
+//
+// Subscribe this endpoint (HTTPS) to the SNS topic(s) configured as SES notification destinations.
+// env.SNS_TOPIC_ARNS (comma-separated ARNs) lists the accepted topics and is required: without it every
+// message is refused with a 503, so SNS keeps retrying until the allowlist is configured.
+
+import { withErrorHandling } from "../_lib/errors.js";
+import { jsonResponse } from "../_lib/http.js";
+import { isSnsUrl, verifySnsMessage } from "../_lib/sns.js";
+import { suppressEmail } from "../_lib/suppression.js";
+
+// cat_emails.status for outcomes that stop all further mail
+const SUPPRESSING_STATUS = {
+  bounce: "bounced",
+  complaint: "complained",
+};
+
+// --------------------
+// Helper functions
+// --------------------
+
+// Flatten a SES notification into one record per affected recipient
+function parseSesEvent(event) {
+  const type = (event.notificationType || event.eventType || "").toLowerCase();
+  const sesMessageId = event.mail ? event.mail.messageId : null;
+
+  if (type === "bounce" && event.bounce) {
+    return event.bounce.bouncedRecipients.map(recipient => ({
+      type,
+      sesMessageId,
+      email: recipient.emailAddress,
+      bounceType: event.bounce.bounceType,
+      bounceSubtype: event.bounce.bounceSubType,
+      detail: recipient.diagnosticCode || null,
+      // Only permanent bounces mean the address is dead
+      suppress: event.bounce.bounceType === "Permanent",
+    }));
+  }
+
+  if (type === "complaint" && event.complaint) {
+    return event.complaint.complainedRecipients.map(recipient => ({
+      type,
+      sesMessageId,
+      email: recipient.emailAddress,
+      detail: event.complaint.complaintFeedbackType || null,
+      suppress: true,
+    }));
+  }
+
+  if (type === "delivery" && event.delivery) {
+    return event.delivery.recipients.map(email => ({
+      type,
+      sesMessageId,
+      email,
+      detail: event.delivery.smtpResponse || null,
+      suppress: false,
+    }));
+  }
+
+  return [];
+}
+
+async function recordEvent(env, snsMessageId, record) {
+  await env.DB.prepare(
+    `INSERT OR IGNORE INTO email_events (sns_message_id, ses_message_id, event_type, email, bounce_type, bounce_subtype, detail)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  ).bind(
+    snsMessageId,
+    record.sesMessageId,
+    record.type,
+    record.email,
+    record.bounceType || null,
+    record.bounceSubtype || null,
+    record.detail
+  ).run();
+
+  await env.DB.prepare(
+    `UPDATE cat_emails SET last_event = ?, last_event_at = CURRENT_TIMESTAMP WHERE lower(email) = ?`
+  ).bind(record.type, record.email.toLowerCase()).run();
+
+  if (record.suppress) {
+    await suppressEmail(env, record.email, record.type, record.detail);
+    await env.DB.prepare(
+      `UPDATE cat_emails SET status = ?, confirm_nonce = NULL WHERE lower(email) = ?`
+    ).bind(SUPPRESSING_STATUS[record.type], record.email.toLowerCase()).run();
+  }
+}
+
+// --------------------
+// Main function
+// --------------------
+// Unexpected errors become a 500, which makes SNS retry the delivery
+export const onRequestPost = withErrorHandling(async ({ request, env }) => {
+  // SNS posts JSON with a text/plain content type
+  let message;
+  try {
+    message = JSON.parse(await request.text());
+  } catch {
+    return jsonResponse({ success: false, error: "Invalid JSON" }, 400);
+  }
+
+  const allowedTopics = (env.SNS_TOPIC_ARNS || "").split(",").map(s => s.trim()).filter(Boolean);
+  if (!allowedTopics.length) {
+    console.error("SNS_TOPIC_ARNS is not configured; refusing SNS message for topic", message.TopicArn);
+    return jsonResponse({ success: false, error: "Not configured" }, 503);
+  }
+  if (!allowedTopics.includes(message.TopicArn)) {
+    return jsonResponse({ success: false, error: "Unknown topic" }, 403);
+  }
+
+  if (!(await verifySnsMessage(message))) {
+    return jsonResponse({ success: false, error: "Invalid signature" }, 403);
+  }
+
+  // --- Subscription handshake ---
+  if (message.Type === "SubscriptionConfirmation") {
+    // The link must confirm the (allowlisted) topic the message was signed for, not some other one
+    if (!isSnsUrl(message.SubscribeURL) || new URL(message.SubscribeURL).searchParams.get("TopicArn") !== message.TopicArn) {
+      return jsonResponse({ success: false, error: "Invalid SubscribeURL" }, 400);
+    }
+    const response = await fetch(message.SubscribeURL);
+    if (!response.ok) {
+      console.error("SNS subscription confirmation failed:", response.status);
+      return jsonResponse({ success: false }, 502);
+    }
+    return jsonResponse({ success: true }, 200);
+  }
+
+  if (message.Type === "UnsubscribeConfirmation") {
+    console.warn("SNS subscription removed for topic", message.TopicArn);
+    return jsonResponse({ success: true }, 200);
+  }
+
+  // --- SES notification ---
+  let event;
+  try {
+    event = JSON.parse(message.Message);
+  } catch {
+    return jsonResponse({ success: false, error: "Invalid SES notification" }, 400);
+  }
+
+  for (const record of parseSesEvent(event)) {
+    await recordEvent(env, message.MessageId, record);
+  }
+
+  return jsonResponse({ success: true }, 200);
+});
@@ -0,0 +1,66 @@
+// unsubscribe.js
+// Cloudflare Pages Function for one-click unsubscribe links (RFC 8058)
+//
+// GET  /api/unsubscribe?token=...  shows a confirmation button (link scanners must not unsubscribe people)
+// POST /api/unsubscribe?token=...  unsubscribes; used by that button and by mail clients' one-click unsubscribe
+
+import { escapeHtml, htmlPage } from "../_lib/http.js";
+import { unsubscribeEmail } from "../_lib/suppression.js";
+import { verifySignedToken } from "../_lib/tokens.js";
+
+function invalidLinkPage() {
+  return htmlPage({
+    title: "This link isn't valid",
+    message: "We couldn't read this unsubscribe link. Make sure you copied the whole link from the email, or reply to the email and we'll remove you by hand.",
+    status: 400
+  });
+}
+
+// --------------------
+// Main functions
+// --------------------
+export async function onRequestGet({ request, env }) {
+  try {
+    const url = new URL(request.url);
+    const token = url.searchParams.get("token");
+    const { valid } = await verifySignedToken(env.EMAIL_TOKEN_SECRET, token, "unsubscribe");
+    if (!valid) return invalidLinkPage();
+
+    return htmlPage({
+      title: "Unsubscribe",
+      message: "Click below and we won't email you again.",
+      body: `<form method="POST" action="${escapeHtml(url.pathname + url.search)}"><button type="submit">Unsubscribe</button></form>`
+    });
+
+  } catch (err) {
+    console.error(err);
+    return htmlPage({
+      title: "Something went wrong",
+      message: "We couldn't load this page right now. Please try again later.",
+      status: 500
+    });
+  }
+}
+
+export async function onRequestPost({ request, env }) {
+  try {
+    const token = new URL(request.url).searchParams.get("token");
+    const { valid, payload } = await verifySignedToken(env.EMAIL_TOKEN_SECRET, token, "unsubscribe");
+    if (!valid) return invalidLinkPage();
+
+    await unsubscribeEmail(env, payload.email);
+
+    return htmlPage({
+      title: "You're unsubscribed",
+      message: "You won't receive any more emails from us. Thanks for reading!"
+    });
+
+  } catch (err) {
+    console.error(err);
+    return htmlPage({
+      title: "Something went wrong",
+      message: "We couldn't unsubscribe you right now. Please try again later.",
+      status: 500
+    });
+  }
+}
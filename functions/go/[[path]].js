@@ -0,0 +1,17 @@
+// [[path]].js
+// Cloudflare Pages Function: GET /go/<productKey>/<variant>
+// Short affiliate links resolved at the edge, e.g. /go/product/leash/amazon or /go/amzn/store
+// (?variant= is accepted too). Social crawlers get the Open Graph preview instead of the redirect.
+
+import { handleAffiliateRequest, resolvePath } from "../_lib/affiliate-links.js";
+
+export async function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const segments = [].concat(context.params.path || []).filter(Boolean);
+
+  const { productKey, variant } = resolvePath(segments);
+  return handleAffiliateRequest(context, {
+    productKey,
+    variant: variant || url.searchParams.get("variant")
+  });
+}
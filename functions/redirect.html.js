@@ -0,0 +1,21 @@
+// redirect.html.js
+// Cloudflare Pages Function: GET /redirect.html?product=<productKey>[&variant=<variant>]
+// Older shared links point at redirect.html; they are resolved at the edge like /go/, so visitors land
+// in their own Amazon marketplace (or on the product page without a variant) and the browser never
+// needs the link map. Only ?skipredirect=true and bare requests get the static page.
+
+import { handleAffiliateRequest } from "./_lib/affiliate-links.js";
+
+export async function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const productKey = url.searchParams.get("product");
+
+  if (!productKey || url.searchParams.get("skipredirect") === "true") {
+    return context.next();
+  }
+
+  return handleAffiliateRequest(context, {
+    productKey,
+    variant: url.searchParams.get("variant")
+  });
+}
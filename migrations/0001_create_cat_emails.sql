@@ -0,0 +1,8 @@
+-- Migration number: 0001
+-- Subscribers of the cat shelf guide
+
+CREATE TABLE IF NOT EXISTS cat_emails (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT NOT NULL UNIQUE,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
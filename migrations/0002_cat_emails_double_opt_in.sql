@@ -0,0 +1,10 @@
+-- Migration number: 0002
+-- Double opt-in: addresses are stored as pending until the confirmation link is clicked.
+-- Rows that existed before this migration already received the guide and are kept as confirmed.
+
+ALTER TABLE cat_emails ADD COLUMN status TEXT NOT NULL DEFAULT 'confirmed';
+ALTER TABLE cat_emails ADD COLUMN confirm_nonce TEXT;
+ALTER TABLE cat_emails ADD COLUMN confirmation_sent_at TEXT;
+ALTER TABLE cat_emails ADD COLUMN confirmed_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_cat_emails_status ON cat_emails (status);
@@ -0,0 +1,12 @@
+-- Migration number: 0003
+-- Suppression list checked before every SES send, and unsubscribe tracking for guide subscribers
+
+CREATE TABLE IF NOT EXISTS email_suppressions (
+  email TEXT PRIMARY KEY COLLATE NOCASE,
+  reason TEXT NOT NULL,
+  detail TEXT,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE cat_emails ADD COLUMN unsubscribed_at TEXT;
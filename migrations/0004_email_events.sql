@@ -0,0 +1,20 @@
+-- Migration number: 0004
+-- SES delivery outcomes received through SNS (bounces, complaints, deliveries)
+
+CREATE TABLE IF NOT EXISTS email_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  sns_message_id TEXT NOT NULL,
+  ses_message_id TEXT,
+  event_type TEXT NOT NULL,
+  email TEXT NOT NULL COLLATE NOCASE,
+  bounce_type TEXT,
+  bounce_subtype TEXT,
+  detail TEXT,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (sns_message_id, email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_events_email ON email_events (email);
+
+ALTER TABLE cat_emails ADD COLUMN last_event TEXT;
+ALTER TABLE cat_emails ADD COLUMN last_event_at TEXT;
@@ -0,0 +1,22 @@
+-- Migration number: 0005
+-- Licensing form submissions with a public reference number and status tracking
+
+CREATE TABLE IF NOT EXISTS license_requests (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  reference TEXT NOT NULL UNIQUE,
+  status TEXT NOT NULL DEFAULT 'new'
+    CHECK (status IN ('new', 'quoted', 'accepted', 'declined', 'expired')),
+  company TEXT NOT NULL,
+  name TEXT NOT NULL,
+  email TEXT NOT NULL,
+  type_of_use TEXT,
+  works TEXT,
+  duration TEXT,
+  fee TEXT,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  status_changed_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_license_requests_status ON license_requests (status);
+CREATE INDEX IF NOT EXISTS idx_license_requests_created_at ON license_requests (created_at);
@@ -0,0 +1,10 @@
+-- Migration number: 0006
+-- Fixed-window rate limit counters for public form endpoints (used when no RATE_LIMIT KV namespace is bound)
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key TEXT PRIMARY KEY,
+  count INTEGER NOT NULL DEFAULT 0,
+  expires_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_expires_at ON rate_limits (expires_at);
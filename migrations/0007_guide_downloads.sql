@@ -0,0 +1,16 @@
+-- Migration number: 0007
+-- Downloads of the cat shelf guide PDF through signed links
+
+CREATE TABLE IF NOT EXISTS guide_downloads (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  cat_email_id INTEGER REFERENCES cat_emails (id),
+  email TEXT NOT NULL,
+  ip TEXT,
+  user_agent TEXT,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_guide_downloads_cat_email_id ON guide_downloads (cat_email_id);
+
+ALTER TABLE cat_emails ADD COLUMN download_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE cat_emails ADD COLUMN last_downloaded_at TEXT;
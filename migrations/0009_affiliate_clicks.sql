@@ -0,0 +1,16 @@
+-- Migration number: 0009
+-- One row per affiliate redirect resolved by functions/go and functions/affiliate
+
+CREATE TABLE IF NOT EXISTS affiliate_clicks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_key TEXT NOT NULL,
+  variant TEXT NOT NULL,
+  retailer TEXT NOT NULL,
+  platform TEXT NOT NULL CHECK (platform IN ('ios', 'android', 'desktop')),
+  referrer TEXT,
+  country TEXT,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_affiliate_clicks_created_at ON affiliate_clicks (created_at);
+CREATE INDEX IF NOT EXISTS idx_affiliate_clicks_product ON affiliate_clicks (product_key, variant);
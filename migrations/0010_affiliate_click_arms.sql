@@ -0,0 +1,6 @@
+-- Migration number: 0010
+-- Split test arm a click was assigned to (NULL when the product has no "_split" rule in amazonLinks.json)
+
+ALTER TABLE affiliate_clicks ADD COLUMN arm TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_affiliate_clicks_arm ON affiliate_clicks (product_key, arm);
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+
+/**
+ * Affiliate Link Health Checker
+ *
+ * Requests every web URL in amazonLinks.json (deep links are skipped) and follows its redirects:
+ * 1. 404/410 and Amazon's "dogs of Amazon" error page → broken
+ * 2. Redirects that end on a search page (product delisted) → broken
+ * 3. Amazon destinations without our associate tag (the marketplace's tag for "_local" links) → broken
+ * 4. Anything the server refused to answer (403, 429, 5xx, timeouts) → warning, as Amazon often
+ *    blocks automated requests
+ *
+ * Writes a JSON and/or Markdown report and exits with 1 when a link is broken (with --strict,
+ * warnings fail too), so it can run in CI.
+ *
+ * Usage:
+ *   node scripts/check-affiliate-links.js [--json report.json] [--markdown report.md] [--strict]
+ *                                         [--links path/to/amazonLinks.json]
+ *
+ * From code (fetch is injectable, e.g. to point at a local mock server):
+ *   import { checkLinks } from './check-affiliate-links.js';
+ *   const report = await checkLinks(links, { fetchImpl });
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ASSOCIATE_TAG, localLinks } from './validate-amazon-links.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), '..');
+
+const MAX_REDIRECTS = 10;
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_CONCURRENCY = 4;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; outdoorsavannah-link-checker/1.0; +https://www.outdoorsavannah.com)';
+
+// Amazon's 404 page shows the "dogs of Amazon"
+const DOG_PAGE_PATTERN = /dogsofamazon|Sorry! We couldn't find that page/i;
+
+const isDeepLinkKey = key => key.endsWith('_deeplink_ios') || key.endsWith('_deeplink_android');
+
+function isAmazonHost(hostname) {
+  return /(^|\.)amazon\.[a-z.]+$/i.test(hostname);
+}
+
+// Search and listing pages a delisted product redirects to
+function isSearchPage(url) {
+  if (isAmazonHost(url.hostname)) return /^\/s(\/|$)/.test(url.pathname);
+  if (/(^|\.)aliexpress\.[a-z.]+$/i.test(url.hostname)) return /^\/(w\/|wholesale)/.test(url.pathname);
+  return false;
+}
+
+// ============================================================================
+// Checking
+// ============================================================================
+
+/**
+ * Follow redirects manually so every hop is visible
+ * Resolves to { status, finalUrl, chain, body }
+ */
+async function followRedirects(startUrl, { fetchImpl, timeoutMs }) {
+  const chain = [];
+  let current = startUrl;
+
+  for (let i = 0; i <= MAX_REDIRECTS; i++) {
+    const response = await fetchImpl(current, {
+      method: 'GET',
+      redirect: 'manual',
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html' },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const location = response.headers.get('location');
+
+    if (response.status >= 300 && response.status < 400 && location) {
+      chain.push({ url: current, status: response.status });
+      current = new URL(location, current).href;
+      continue;
+    }
+
+    const isHtml = (response.headers.get('content-type') || '').includes('text/html');
+    const body = isHtml ? await response.text() : '';
+    return { status: response.status, finalUrl: current, chain, body };
+  }
+
+  throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+}
+
+/**
+ * Check one URL; resolves to { status: 'ok'|'broken'|'warning', httpStatus, finalUrl, redirects, problems }
+ * expectedTag is the associate tag Amazon destinations must carry (null skips the check)
+ */
+export async function checkUrl(url, { fetchImpl = fetch, timeoutMs = DEFAULT_TIMEOUT_MS, expectedTag = ASSOCIATE_TAG } = {}) {
+  let result;
+  try {
+    result = await followRedirects(url, { fetchImpl, timeoutMs });
+  } catch (err) {
+    return { status: 'warning', httpStatus: null, finalUrl: null, redirects: 0, problems: [`Request failed: ${err.message}`] };
+  }
+
+  const { status, finalUrl, chain, body } = result;
+  const final = new URL(finalUrl);
+  const broken = [];
+  const warnings = [];
+
+  if (status === 404 || status === 410 || DOG_PAGE_PATTERN.test(body)) {
+    broken.push(`Page not found (${status})`);
+  } else if (status >= 400) {
+    warnings.push(`Could not verify: HTTP ${status}`);
+  }
+
+  if (isSearchPage(final)) {
+    broken.push('Redirects to a search page; the product may be delisted');
+  }
+
+  if (isAmazonHost(final.hostname) && expectedTag && !broken.length) {
+    const tag = final.searchParams.get('tag');
+    if (tag !== expectedTag) {
+      broken.push(tag ? `Wrong associate tag "${tag}" (expected ${expectedTag})` : `Missing associate tag ${expectedTag}`);
+    }
+  }
+
+  return {
+    status: broken.length ? 'broken' : warnings.length ? 'warning' : 'ok',
+    httpStatus: status,
+    finalUrl,
+    redirects: chain.length,
+    problems: [...broken, ...warnings],
+  };
+}
+
+/**
+ * Check every web link in a parsed amazonLinks.json, including "_local" marketplace links
+ * Each distinct URL is requested once per expected tag; results are reported per product/variant
+ */
+export async function checkLinks(links, { fetchImpl = fetch, timeoutMs = DEFAULT_TIMEOUT_MS, concurrency = DEFAULT_CONCURRENCY } = {}) {
+  const entries = [];
+  for (const [productKey, variants] of Object.entries(links)) {
+    if (productKey.startsWith('_')) continue;
+    for (const [variant, url] of Object.entries(variants || {})) {
+      if (typeof url === 'string' && !variant.startsWith('_') && !isDeepLinkKey(variant) && /^https?:\/\//.test(url)) {
+        entries.push({ productKey, variant, url, expectedTag: ASSOCIATE_TAG });
+      }
+    }
+  }
+  for (const { productKey, variant, marketplace, url, tag } of localLinks(links)) {
+    if (/^https?:\/\//.test(url)) {
+      entries.push({ productKey, variant: `${variant} (${marketplace})`, url, expectedTag: tag });
+    }
+  }
+
+  // The same URL may be listed for marketplaces with different tags, so each (url, tag) pair is its own check
+  const checkKey = ({ url, expectedTag }) => `${url}\u0000${expectedTag || ''}`;
+  const checks = [...new Map(entries.map(e => [checkKey(e), e])).values()];
+  const results = new Map();
+  let next = 0;
+  async function worker() {
+    while (next < checks.length) {
+      const check = checks[next++];
+      results.set(checkKey(check), await checkUrl(check.url, { fetchImpl, timeoutMs, expectedTag: check.expectedTag }));
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, checks.length) }, worker));
+
+  const checked = entries.map(({ expectedTag, ...entry }) => ({ ...entry, ...results.get(checkKey({ ...entry, expectedTag })) }));
+  const count = status => checked.filter(c => c.status === status).length;
+
+  return {
+    checkedAt: new Date().toISOString(),
+    summary: { total: checked.length, ok: count('ok'), broken: count('broken'), warning: count('warning') },
+    results: checked,
+  };
+}
+
+// ============================================================================
+// Reports
+// ============================================================================
+
+const mdCell = value => String(value === null || value === undefined ? '' : value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+export function renderMarkdown(report) {
+  const { summary } = report;
+  const lines = [
+    '# Affiliate link health',
+    '',
+    `Checked ${summary.total} link(s) at ${report.checkedAt}: ${summary.ok} ok, ${summary.broken} broken, ${summary.warning} warning(s).`,
+    '',
+  ];
+
+  const problems = report.results.filter(r => r.status !== 'ok');
+  if (!problems.length) {
+    lines.push('All links are healthy.');
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push('| Status | Product | Variant | URL | HTTP | Final URL | Problems |');
+  lines.push('| --- | --- | --- | --- | --- | --- | --- |');
+  for (const r of problems.sort((a, b) => a.status.localeCompare(b.status))) {
+    lines.push(`| ${r.status === 'broken' ? '❌ broken' : '⚠️ warning'} | ${mdCell(r.productKey)} | ${mdCell(r.variant)} | ${mdCell(r.url)} | ${mdCell(r.httpStatus)} | ${mdCell(r.finalUrl)} | ${mdCell(r.problems.join('; '))} |`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ============================================================================
+// Command line
+// ============================================================================
+
+function parseArgs(argv) {
+  const options = { json: null, markdown: null, strict: false, links: path.join(ROOT, 'amazonLinks.json') };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') options.json = argv[++i];
+    else if (arg === '--markdown') options.markdown = argv[++i];
+    else if (arg === '--links') options.links = argv[++i];
+    else if (arg === '--strict') options.strict = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const links = JSON.parse(fs.readFileSync(options.links, 'utf-8'));
+
+  const report = await checkLinks(links);
+  const markdown = renderMarkdown(report);
+
+  if (options.json) fs.writeFileSync(options.json, JSON.stringify(report, null, 2) + '\n', 'utf-8');
+  if (options.markdown) fs.writeFileSync(options.markdown, markdown, 'utf-8');
+  console.log(markdown);
+
+  const { broken, warning } = report.summary;
+  if (broken || (options.strict && warning)) {
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch(err => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,203 @@
+/**
+ * Deep Link Rules
+ *
+ * Derives the app deep links for a plain web URL, following the conventions already used in
+ * amazonLinks.json:
+ *   Amazon      com.amazon.mobile.shopping.web://amazon.com/<path>?tag=<associate tag>  (iOS and Android)
+ *   AliExpress  aliexpress://product/detail?productId=...     / intent://www.aliexpress.com/item/...
+ *   YouTube     vnd.youtube://www.youtube.com/...              / intent://www.youtube.com/...
+ *   Instagram   instagram://user?username=... (profiles)       / intent://www.instagram.com/...
+ *   TikTok      snssdk1233://user/@...                         / intent://www.tiktok.com/...
+ *   Facebook    the web URL (universal link)                   / intent://www.facebook.com/...
+ *   Snapchat    snapchat://<username>                          / intent://www.snapchat.com/...
+ *   Discord     com.hammerandchisel.discord://discord.com/...  / intent://discord.com/...
+ *
+ * Short links (amzn.to, s.click.aliexpress.com) hide the product, so they have to be resolved
+ * first (see resolveUrl) before a rule can match.
+ *
+ * Usage:
+ *   import { deriveDeepLinks } from './deeplink-rules.js';
+ *   deriveDeepLinks('https://www.youtube.com/watch?v=p7E8tCFFeWE');
+ *   // → { rule: 'youtube', ios: 'vnd.youtube://www.youtube.com/watch?v=p7E8tCFFeWE', android: 'intent://...' }
+ */
+
+import { ASSOCIATE_TAG } from './validate-amazon-links.js';
+
+// Hosts that only redirect to the real page
+export const SHORT_LINK_HOSTS = ['amzn.to', 's.click.aliexpress.com', 'a.co'];
+
+const MAX_REDIRECTS = 5;
+
+// intent:// URL opening `url` in the Android app `pkg`, falling back to the browser
+export function androidIntent(url, pkg) {
+  return `intent://${url.host}${url.pathname}${url.search}#Intent;package=${pkg};scheme=${url.protocol.replace(':', '')};end`;
+}
+
+function hostMatches(url, domains) {
+  const host = url.hostname.toLowerCase();
+  return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// ============================================================================
+// Rules
+// ============================================================================
+
+export const rules = [
+  {
+    name: 'amazon',
+    test: url => /(^|\.)amazon\.com$/i.test(url.hostname),
+    derive(url) {
+      // Only our tag is kept; tracking parameters of resolved short links (linkCode, linkId, ref_...) are dropped
+      const search = new URLSearchParams({ tag: ASSOCIATE_TAG });
+      const link = `com.amazon.mobile.shopping.web://amazon.com${url.pathname}?${search}`;
+      return { ios: link, android: link };
+    },
+  },
+
+  {
+    name: 'aliexpress',
+    test: url => hostMatches(url, ['aliexpress.com', 'aliexpress.us']) && /\/item\/\d+\.html$/.test(url.pathname),
+    derive(url) {
+      const productId = url.pathname.match(/\/item\/(\d+)\.html$/)[1];
+      // Keep the affiliate tracking parameters only
+      const aff = new URLSearchParams();
+      for (const [key, value] of url.searchParams) {
+        if (key.startsWith('aff_')) aff.append(key, value);
+      }
+      const query = aff.toString();
+      const web = new URL(`https://www.aliexpress.com/item/${productId}.html${query ? `?${query}` : ''}`);
+      return {
+        ios: `aliexpress://product/detail?productId=${productId}${query ? `&${query}` : ''}`,
+        android: androidIntent(web, 'com.alibaba.aliexpresshd'),
+      };
+    },
+  },
+
+  {
+    name: 'youtube',
+    test: url => hostMatches(url, ['youtube.com', 'youtu.be']),
+    derive(url) {
+      let web = new URL(url.href);
+      if (hostMatches(url, ['youtu.be'])) {
+        web = new URL(`https://www.youtube.com/watch${url.search}`);
+        web.searchParams.set('v', url.pathname.slice(1));
+      }
+      web.hostname = 'www.youtube.com';
+      return {
+        ios: `vnd.youtube://${web.host}${web.pathname}${web.search}`,
+        android: androidIntent(web, 'com.google.android.youtube'),
+      };
+    },
+  },
+
+  {
+    name: 'instagram',
+    test: url => hostMatches(url, ['instagram.com']),
+    derive(url) {
+      const web = new URL(url.href);
+      web.hostname = 'www.instagram.com';
+      const profile = web.pathname.match(/^\/([A-Za-z0-9._]+)\/?$/);
+      let ios = web.href;
+      if (profile) {
+        const params = new URLSearchParams(web.search);
+        params.delete('username');
+        const rest = params.toString();
+        // Keep "=" padding in tracking ids unencoded, as in the hand-written entries
+        ios = `instagram://user?username=${profile[1]}${rest ? `&${decodeURIComponent(rest)}` : ''}`;
+      }
+      return { ios, android: androidIntent(web, 'com.instagram.android') };
+    },
+  },
+
+  {
+    name: 'tiktok',
+    test: url => hostMatches(url, ['tiktok.com']),
+    derive(url) {
+      const web = new URL(url.href);
+      web.hostname = 'www.tiktok.com';
+      const match = web.pathname.match(/^\/(@[\w.]+)(\/video\/\d+)?\/?$/);
+      return {
+        ios: match ? `snssdk1233://user/${match[1]}${match[2] || ''}` : web.href,
+        android: androidIntent(web, 'com.zhiliaoapp.musically'),
+      };
+    },
+  },
+
+  {
+    name: 'facebook',
+    test: url => hostMatches(url, ['facebook.com', 'fb.com']),
+    derive(url) {
+      const web = new URL(url.href);
+      web.hostname = 'www.facebook.com';
+      return { ios: web.href, android: androidIntent(web, 'com.facebook.katana') };
+    },
+  },
+
+  {
+    name: 'snapchat',
+    test: url => hostMatches(url, ['snapchat.com']),
+    derive(url) {
+      const web = new URL(url.href);
+      web.hostname = 'www.snapchat.com';
+      const match = web.pathname.match(/^\/(?:add\/|@)([\w.-]+)\/?$/);
+      return {
+        ios: match ? `snapchat://${match[1]}` : web.href,
+        android: androidIntent(web, 'com.snapchat.android'),
+      };
+    },
+  },
+
+  {
+    name: 'discord',
+    test: url => hostMatches(url, ['discord.com', 'discord.gg']),
+    derive(url) {
+      const web = hostMatches(url, ['discord.gg'])
+        ? new URL(`https://discord.com/invite${url.pathname}`)
+        : new URL(url.href);
+      return {
+        ios: `com.hammerandchisel.discord://${web.host}${web.pathname}${web.search}`,
+        android: androidIntent(web, 'com.discord'),
+      };
+    },
+  },
+];
+
+// ============================================================================
+// API
+// ============================================================================
+
+/**
+ * Deep links for a web URL: { rule, ios, android }, or null when no rule applies
+ */
+export function deriveDeepLinks(webUrl) {
+  let url;
+  try {
+    url = new URL(webUrl);
+  } catch {
+    return null;
+  }
+  const rule = rules.find(r => r.test(url));
+  return rule ? { rule: rule.name, ...rule.derive(url) } : null;
+}
+
+export function isShortLink(webUrl) {
+  try {
+    return SHORT_LINK_HOSTS.includes(new URL(webUrl).hostname.toLowerCase());
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Follow redirects of a short link to the real page; fetchImpl is injectable for testing
+ */
+export async function resolveUrl(webUrl, fetchImpl = fetch) {
+  let current = webUrl;
+  for (let i = 0; i < MAX_REDIRECTS; i++) {
+    const response = await fetchImpl(current, { method: 'HEAD', redirect: 'manual' });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) return current;
+    current = new URL(location, current).href;
+  }
+  return current;
+}
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * Fill Missing Deep Links in amazonLinks.json
+ *
+ * For every variant without a <key>_deeplink_ios or <key>_deeplink_android entry, derives the
+ * missing link from the variant's web URL (see deeplink-rules.js) and inserts it right after the
+ * variant. Existing entries are never changed, so hand-written overrides stay intact.
+ *
+ * Short links (amzn.to, s.click.aliexpress.com) only reveal the product after a redirect; pass
+ * --resolve to follow them over the network.
+ *
+ * Usage:
+ *   node scripts/fill-deeplinks.js [--dry-run] [--resolve] [path/to/amazonLinks.json]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { deriveDeepLinks, isShortLink, resolveUrl } from './deeplink-rules.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), '..');
+
+const PLATFORMS = ['ios', 'android'];
+
+const isDeepLinkKey = key => PLATFORMS.some(p => key.endsWith(`_deeplink_${p}`));
+
+/**
+ * Add missing deep links to a parsed link map
+ * Returns { links, added: [{ productKey, key, value }], skipped: [{ productKey, variant, reason }] }
+ */
+export async function fillDeepLinks(links, { resolve = false, fetchImpl = fetch } = {}) {
+  const added = [];
+  const skipped = [];
+  const result = {};
+
+  for (const [productKey, variants] of Object.entries(links)) {
+    // "_" keys are settings (e.g. _marketplaces), not products
+    if (productKey.startsWith('_') || !variants || typeof variants !== 'object' || Array.isArray(variants)) {
+      result[productKey] = variants;
+      continue;
+    }
+
+    const filled = {};
+    for (const [key, value] of Object.entries(variants)) {
+      // An empty deep link listed after its variant has already been filled in
+      if (isDeepLinkKey(key) && filled[key]) continue;
+      filled[key] = value;
+      if (key.startsWith('_') || isDeepLinkKey(key) || typeof value !== 'string') continue;
+
+      const missing = PLATFORMS.filter(p => !variants[`${key}_deeplink_${p}`]);
+      if (!missing.length) continue;
+
+      let webUrl = value;
+      if (isShortLink(webUrl)) {
+        if (!resolve) {
+          skipped.push({ productKey, variant: key, reason: `short link ${webUrl} (use --resolve)` });
+          continue;
+        }
+        try {
+          webUrl = await resolveUrl(webUrl, fetchImpl);
+        } catch (err) {
+          skipped.push({ productKey, variant: key, reason: `could not resolve ${value}: ${err.message}` });
+          continue;
+        }
+      }
+
+      const derived = deriveDeepLinks(webUrl);
+      if (!derived) {
+        skipped.push({ productKey, variant: key, reason: `no rule for ${webUrl}` });
+        continue;
+      }
+
+      for (const platform of missing) {
+        const deepKey = `${key}_deeplink_${platform}`;
+        filled[deepKey] = derived[platform];
+        added.push({ productKey, key: deepKey, value: derived[platform] });
+      }
+    }
+
+    result[productKey] = filled;
+  }
+
+  return { links: result, added, skipped };
+}
+
+const USAGE = 'Usage: node scripts/fill-deeplinks.js [--dry-run] [--resolve] [path/to/amazonLinks.json]';
+
+function parseArgs(argv) {
+  const options = { dryRun: false, resolve: false, help: false, links: null };
+  for (const arg of argv) {
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--resolve') options.resolve = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (!arg.startsWith('-') && !options.links) options.links = arg;
+    else throw new Error(`Unknown argument: ${arg}\n${USAGE}`);
+  }
+  return options;
+}
+
+async function main() {
+  const { dryRun, resolve, help, links: linksArg } = parseArgs(process.argv.slice(2));
+  if (help) {
+    console.log(USAGE);
+    return;
+  }
+  const linksPath = path.resolve(linksArg || path.join(ROOT, 'amazonLinks.json'));
+
+  const links = JSON.parse(fs.readFileSync(linksPath, 'utf-8'));
+  const { links: filled, added, skipped } = await fillDeepLinks(links, { resolve });
+
+  for (const { productKey, key, value } of added) {
+    console.log(`+ ${productKey} → ${key}: ${value}`);
+  }
+  for (const { productKey, variant, reason } of skipped) {
+    console.warn(`⚠️ ${productKey} → ${variant}: skipped, ${reason}`);
+  }
+
+  if (!added.length) {
+    console.log('✓ No deep links to add');
+    return;
+  }
+
+  if (dryRun) {
+    console.log(`\n${added.length} deep link(s) would be added (dry run, nothing written)`);
+    return;
+  }
+
+  fs.writeFileSync(linksPath, JSON.stringify(filled, null, 2) + '\n', 'utf-8');
+  console.log(`\n✓ Added ${added.length} deep link(s) to ${path.relative(process.cwd(), linksPath) || linksPath}`);
+}
+
+// Run if called directly
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch(err => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,514 @@
+#!/usr/bin/env node
+
+/**
+ * Local Harness for Cloudflare Pages Functions
+ *
+ * Runs the handlers under functions/ in plain Node, without wrangler:
+ * 1. Builds a fake `env`: D1 backed by in-memory SQLite (migrations applied), a Map-based KV
+ *    namespace and a stub SES HTTP server that checks each request's SigV4 signature and records
+ *    every email
+ * 2. Calls onRequestPost/onRequestGet/... with a real `Request` and a Pages-like context
+ * 3. Waits for everything passed to waitUntil() (e.g. the email outbox drain) before returning
+ *
+ * SQLite comes from the built-in `node:sqlite` module (Node 22.5+, behind --experimental-sqlite
+ * before 22.13), falling back to the `sql.js` dev dependency on older Node versions. Without
+ * either the harness still runs, just without env.DB.
+ *
+ * Usage as a library:
+ *   import { createHarness } from './functions-harness.js';
+ *   const harness = await createHarness();
+ *   const { response, json } = await harness.invoke('functions/api/license-request.js', {
+ *     method: 'POST', form: { company: 'ACME', ... }
+ *   });
+ *   console.log(harness.ses.emails);
+ *   await harness.close();
+ *
+ * Usage from the command line:
+ *   node scripts/functions-harness.js functions/api/cat-shelf-guide-email.js \
+ *     --json '{"email":"cat@example.com"}' --started cat-shelf-guide
+ *   node scripts/functions-harness.js functions/api/license-request.js \
+ *     --form company=ACME --form name=Jane --started license-request --ses-fail 503
+ *   node scripts/functions-harness.js "functions/api/email-preview/[template].js" \
+ *     --url /api/email-preview/guide-delivery --param template=guide-delivery
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+import { createFormToken } from '../functions/_lib/protection.js';
+import { signAWSv4 } from '../functions/_lib/ses.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), '..');
+const MIGRATIONS_DIR = path.join(ROOT, 'migrations');
+
+const DEFAULT_ORIGIN = 'http://localhost:8788';
+
+// Example credentials from the AWS documentation; the SES stub only accepts requests signed with these
+export const STUB_AWS_CREDENTIALS = {
+  accessKeyId: 'AKIDEXAMPLE',
+  secretKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY',
+};
+
+// ============================================================================
+// D1
+// ============================================================================
+
+/**
+ * Open an in-memory SQLite database, or null when neither node:sqlite nor sql.js is available
+ */
+export async function openSqlite() {
+  try {
+    const { DatabaseSync } = await import('node:sqlite');
+    return new DatabaseSync(':memory:');
+  } catch {
+    // Fall through to sql.js
+  }
+  try {
+    const { default: initSqlJs } = await import('sql.js');
+    const SQL = await initSqlJs();
+    return new SqlJsDatabase(new SQL.Database());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The subset of node:sqlite's DatabaseSync API used below, on top of a sql.js database
+ */
+class SqlJsDatabase {
+  constructor(db) {
+    this.db = db;
+  }
+
+  exec(sql) {
+    this.db.exec(sql);
+  }
+
+  prepare(sql) {
+    const db = this.db;
+    const rows = params => {
+      const statement = db.prepare(sql);
+      try {
+        statement.bind(params);
+        const results = [];
+        while (statement.step()) results.push(statement.getAsObject());
+        return results;
+      } finally {
+        statement.free();
+      }
+    };
+
+    return {
+      get: (...params) => rows(params)[0],
+      all: (...params) => rows(params),
+      run: (...params) => {
+        rows(params);
+        const changes = db.getRowsModified();
+        const lastInsertRowid = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+        return { changes, lastInsertRowid };
+      },
+    };
+  }
+}
+
+// D1 rejects undefined and stores booleans as integers
+function toSqliteValue(value) {
+  if (value === undefined) throw new TypeError('D1_TYPE_ERROR: Type \'undefined\' not supported for value \'undefined\'');
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+class FakeD1Statement {
+  constructor(db, sql, params = []) {
+    this.db = db;
+    this.sql = sql;
+    this.params = params;
+  }
+
+  bind(...params) {
+    return new FakeD1Statement(this.db, this.sql, params.map(toSqliteValue));
+  }
+
+  async first(column) {
+    const row = this.db.prepare(this.sql).get(...this.params);
+    if (!row) return null;
+    return column ? row[column] : { ...row };
+  }
+
+  async all() {
+    const results = this.db.prepare(this.sql).all(...this.params).map(row => ({ ...row }));
+    return { success: true, results, meta: { changes: 0 } };
+  }
+
+  async run() {
+    const statement = this.db.prepare(this.sql);
+    // RETURNING clauses need all() to hand back rows
+    if (/\bRETURNING\b/i.test(this.sql)) {
+      const results = statement.all(...this.params).map(row => ({ ...row }));
+      return { success: true, results, meta: { changes: results.length } };
+    }
+    const { changes, lastInsertRowid } = statement.run(...this.params);
+    return { success: true, results: [], meta: { changes: Number(changes), last_row_id: Number(lastInsertRowid) } };
+  }
+}
+
+/**
+ * Wrap a SQLite handle (node:sqlite DatabaseSync or the sql.js adapter) in the D1 binding API
+ */
+export function createD1(db) {
+  return {
+    prepare: sql => new FakeD1Statement(db, sql),
+
+    async batch(statements) {
+      db.exec('BEGIN');
+      try {
+        const results = [];
+        for (const statement of statements) results.push(await statement.run());
+        db.exec('COMMIT');
+        return results;
+      } catch (err) {
+        db.exec('ROLLBACK');
+        throw err;
+      }
+    },
+
+    async exec(sql) {
+      db.exec(sql);
+      return { count: 1 };
+    },
+  };
+}
+
+/**
+ * Apply migrations/*.sql in order
+ */
+export function applyMigrations(db, dir = MIGRATIONS_DIR) {
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.sql')).sort();
+  for (const file of files) {
+    db.exec(fs.readFileSync(path.join(dir, file), 'utf8'));
+  }
+  return files;
+}
+
+// ============================================================================
+// KV
+// ============================================================================
+
+/**
+ * In-memory KV namespace honouring expirationTtl
+ */
+export function createKV() {
+  const store = new Map();
+  return {
+    store,
+
+    async get(key, type) {
+      const entry = store.get(key);
+      if (!entry) return null;
+      if (entry.expires && entry.expires <= Date.now()) {
+        store.delete(key);
+        return null;
+      }
+      return type === 'json' ? JSON.parse(entry.value) : entry.value;
+    },
+
+    async put(key, value, { expirationTtl, expiration } = {}) {
+      const expires = expirationTtl ? Date.now() + expirationTtl * 1000 : expiration ? expiration * 1000 : null;
+      store.set(key, { value: String(value), expires });
+    },
+
+    async delete(key) {
+      store.delete(key);
+    },
+  };
+}
+
+// ============================================================================
+// SES
+// ============================================================================
+
+/**
+ * Recompute the SigV4 signature of a request received by the stub
+ * Returns null when it matches, otherwise the reason it was rejected
+ */
+async function checkSignature(req, body, credentials) {
+  const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/([^/]+)\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+    .exec(req.headers.authorization || '');
+  if (!match) return 'Missing or malformed Authorization header';
+
+  const [, accessKeyId, dateStamp, region, service, signedHeaders, signature] = match;
+  if (accessKeyId !== credentials.accessKeyId) return `Unknown access key ${accessKeyId}`;
+
+  const amzDate = req.headers['x-amz-date'] || '';
+  if (!/^\d{8}T\d{6}Z$/.test(amzDate) || amzDate.slice(0, 8) !== dateStamp) return 'Missing or mismatched X-Amz-Date';
+
+  // signAWSv4 adds host, x-amz-date and x-amz-security-token itself
+  const headers = {};
+  for (const name of signedHeaders.split(';')) {
+    if (['host', 'x-amz-date', 'x-amz-security-token'].includes(name)) continue;
+    if (req.headers[name] === undefined) return `Signed header ${name} is missing`;
+    headers[name] = req.headers[name];
+  }
+
+  const expected = await signAWSv4({
+    method: req.method,
+    url: `http://${req.headers.host}${req.url}`,
+    region,
+    service,
+    headers,
+    body,
+    accessKeyId,
+    secretKey: credentials.secretKey,
+    sessionToken: req.headers['x-amz-security-token'],
+    now: new Date(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z')),
+  });
+
+  return expected.Authorization === req.headers.authorization ? null : 'The request signature does not match';
+}
+
+/**
+ * Stub SESv2 endpoint recording every SendEmail call
+ * Point env.SES_ENDPOINT at `url`; queue failures with failNext(status, body)
+ * Requests whose SigV4 signature doesn't match `credentials` get a 403 like SES's SignatureDoesNotMatch,
+ * are recorded with `signatureError` and are left out of `emails`
+ */
+export async function startSesStub({ credentials = STUB_AWS_CREDENTIALS } = {}) {
+  const requests = [];
+  const failures = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const record = { method: req.method, path: req.url, headers: req.headers, body, payload: null, signatureError: null };
+      try {
+        record.payload = JSON.parse(body);
+      } catch {
+        // Recorded as-is
+      }
+      requests.push(record);
+
+      record.signatureError = await checkSignature(req, body, credentials);
+      if (record.signatureError) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: record.signatureError }));
+        return;
+      }
+
+      const failure = failures.shift();
+      if (failure) {
+        res.writeHead(failure.status, { 'Content-Type': 'application/json' });
+        res.end(failure.body);
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ MessageId: `stub-${requests.length}` }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+
+    // Simplified view of the emails sent so far
+    get emails() {
+      return requests.filter(r => r.payload && !r.signatureError).map(({ payload }) => ({
+        from: payload.FromEmailAddress,
+        to: payload.Destination.ToAddresses,
+        replyTo: payload.ReplyToAddresses,
+        subject: payload.Content.Simple ? payload.Content.Simple.Subject.Data : null,
+        text: payload.Content.Simple && payload.Content.Simple.Body.Text ? payload.Content.Simple.Body.Text.Data : null,
+      }));
+    },
+
+    failNext(status = 500, body = '{"message":"Stub SES failure"}', times = 1) {
+      for (let i = 0; i < times; i++) failures.push({ status, body });
+    },
+
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+// ============================================================================
+// Harness
+// ============================================================================
+
+const METHOD_HANDLERS = {
+  GET: 'onRequestGet',
+  POST: 'onRequestPost',
+  PUT: 'onRequestPut',
+  PATCH: 'onRequestPatch',
+  DELETE: 'onRequestDelete',
+};
+
+// Build the request URL from the function file path, e.g. functions/api/unsubscribe.js -> /api/unsubscribe
+function routeFor(file) {
+  const relative = path.relative(path.join(ROOT, 'functions'), path.resolve(ROOT, file));
+  return '/' + relative.replace(/\\/g, '/').replace(/\.js$/, '').replace(/(^|\/)index$/, '');
+}
+
+/**
+ * Create a fake env and an invoke() helper
+ * `env` overrides/extends the defaults (e.g. { TURNSTILE_VERIFIER: 'stub' })
+ */
+export async function createHarness({ env: overrides = {}, migrations = true } = {}) {
+  const sqlite = await openSqlite();
+  if (sqlite && migrations) applyMigrations(sqlite);
+
+  const ses = await startSesStub();
+
+  const env = {
+    EMAIL_TOKEN_SECRET: 'harness-email-secret',
+    ADMIN_PASSWORD: 'harness-admin',
+    ADMIN_SESSION_SECRET: 'harness-session-secret',
+    AWS_ACCESS_KEY_ID: STUB_AWS_CREDENTIALS.accessKeyId,
+    AWS_SECRET_ACCESS_KEY: STUB_AWS_CREDENTIALS.secretKey,
+    SES_ENDPOINT: ses.url,
+    RATE_LIMIT: createKV(),
+    ...(sqlite ? { DB: createD1(sqlite) } : {}),
+    ...overrides,
+  };
+
+  /**
+   * Call a function file's handler for `method`
+   * Options: url, headers, json, form (object or FormData), body, params, next
+   * Resolves to { response, text, json } after all waitUntil() work has finished
+   */
+  async function invoke(file, { method = 'GET', url, headers = {}, json, form, body, params = {}, next } = {}) {
+    const module = await import(pathToFileURL(path.resolve(ROOT, file)).href);
+    const handler = module[METHOD_HANDLERS[method.toUpperCase()]] || module.onRequest;
+    if (!handler) throw new Error(`${file} has no handler for ${method}`);
+
+    let requestBody = body;
+    const requestHeaders = { 'CF-Connecting-IP': '127.0.0.1', ...headers };
+    if (json !== undefined) {
+      requestBody = JSON.stringify(json);
+      requestHeaders['Content-Type'] = 'application/json';
+    } else if (form !== undefined) {
+      requestBody = form instanceof FormData ? form : new FormData();
+      if (!(form instanceof FormData)) {
+        for (const [key, value] of Object.entries(form)) requestBody.append(key, value);
+      }
+    }
+
+    const request = new Request(new URL(url || routeFor(file), DEFAULT_ORIGIN), {
+      method: method.toUpperCase(),
+      headers: requestHeaders,
+      body: requestBody,
+    });
+
+    const pending = [];
+    const response = await handler({
+      request,
+      env,
+      params,
+      data: {},
+      waitUntil: promise => pending.push(promise),
+      next: next || (async () => new Response('next()', { status: 200 })),
+    });
+    await Promise.allSettled(pending);
+
+    const text = await response.clone().text();
+    let parsed = null;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // Not JSON
+    }
+    return { response, text, json: parsed };
+  }
+
+  return {
+    env,
+    ses,
+    sqlite,
+    invoke,
+    // Signed "_started" value for a protected form, issued `ageSeconds` ago (see protection.js)
+    formToken: (form, ageSeconds = 60) => createFormToken(env, form, Date.now() - ageSeconds * 1000),
+    close: () => ses.close(),
+  };
+}
+
+// ============================================================================
+// Command line
+// ============================================================================
+
+function parseArgs(argv) {
+  const options = { file: null, method: null, url: null, json: undefined, form: undefined, headers: {}, params: {}, env: {}, started: null, sesFail: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => argv[++i];
+    if (arg === '--method') options.method = value();
+    else if (arg === '--url') options.url = value();
+    else if (arg === '--json') options.json = JSON.parse(value());
+    else if (arg === '--form') {
+      const [key, ...rest] = value().split('=');
+      options.form = { ...(options.form || {}), [key]: rest.join('=') };
+    } else if (arg === '--header') {
+      const [key, ...rest] = value().split(':');
+      options.headers[key.trim()] = rest.join(':').trim();
+    } else if (arg === '--param') {
+      const [key, ...rest] = value().split('=');
+      options.params[key] = rest.join('=');
+    } else if (arg === '--env') {
+      const [key, ...rest] = value().split('=');
+      options.env[key] = rest.join('=');
+    } else if (arg === '--started') options.started = value();
+    else if (arg === '--ses-fail') options.sesFail = Number(value());
+    else if (!options.file) options.file = arg;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.file) {
+    console.error('Usage: node scripts/functions-harness.js <functions/...js> [--method POST] [--url /path?query]');
+    console.error('         [--json \'{...}\'] [--form key=value]... [--started <form name>] [--header "Name: value"]...');
+    console.error('         [--param name=value]... [--env KEY=value]... [--ses-fail 503]');
+    process.exit(1);
+  }
+
+  const harness = await createHarness({ env: options.env });
+  if (!harness.sqlite) console.warn('⚠ Neither node:sqlite (Node 22.5+) nor sql.js (npm install) is available; running without env.DB');
+  if (options.sesFail) harness.ses.failNext(options.sesFail, '{"message":"Stub SES failure"}', 10);
+
+  // --started adds a page-load token old enough to pass the time-to-submit check
+  if (options.started) {
+    const token = await harness.formToken(options.started);
+    if (options.json !== undefined) options.json = { ...options.json, _started: token };
+    else options.form = { ...(options.form || {}), _started: token };
+  }
+
+  try {
+    const method = options.method || (options.json !== undefined || options.form !== undefined ? 'POST' : 'GET');
+    const { response, text } = await harness.invoke(options.file, { ...options, method });
+
+    console.log(`${response.status} ${response.statusText}`);
+    for (const [key, value] of response.headers) console.log(`${key}: ${value}`);
+    console.log(`\n${text}`);
+
+    const emails = harness.ses.emails;
+    console.log(`\n${emails.length} email(s) sent to the SES stub`);
+    emails.forEach(email => console.log(`  → ${email.to.join(', ')}: ${email.subject}`));
+  } finally {
+    await harness.close();
+  }
+}
+
+// Run if called directly
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch(err => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
+}
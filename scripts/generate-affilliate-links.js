@@ -1,19 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Affiliate Preview Generator
+ *
+ * Writes an Open Graph preview page (and, with sharp installed, a 1200x630 social card) to
+ * affiliate/ for every page and product listed in the site config, plus affiliate/amzn/<variant>
+ * for every "amzn" entry in amazonLinks.json. Crawlers get these pages; visitors are redirected
+ * at the edge (functions/affiliate, functions/go).
+ *
+ * Site settings (IDs, handles, images, the pages to preview and where files live) come from
+ * scripts/affiliate-site.json; paths in it are relative to the site root.
+ *
+ * It also writes a link kit to affiliate/kit/: a /go/ short link for every product/variant in
+ * amazonLinks.json, SVG and PNG QR codes for it (drawn locally with qrcode) and an index.html
+ * listing them all with copy buttons.
+ *
+ * Runs are incremental: affiliate/manifest.json records a hash of every generated page and card,
+ * so only changed files are rewritten, and previews of products or variants that no longer exist
+ * are deleted. Only files recorded in the manifest are ever deleted, so --out may point at a
+ * directory that holds other files. --force rewrites everything.
+ *
+ * Usage:
+ *   node scripts/generate-affilliate-links.js [--config scripts/affiliate-site.json]
+ *                                             [--root <site dir>] [--out <output dir>] [--dry-run] [--force]
+ *
+ * From code (e.g. against a fixture site):
+ *   import { generateAffiliatePreviews, loadSiteConfig } from './generate-affilliate-links.js';
+ *   const { previews } = await generateAffiliatePreviews({ root: fixtureDir, dryRun: true });
+ */
+
+import crypto from "crypto";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { readOpenGraph, escapeAttribute, escapeText, jsString } from "./html-utils.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const productDir = path.join(__dirname, "product");
-const previewDir = path.join(__dirname, "affiliate");
+const ROOT = path.resolve(__dirname, "..");
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "affiliate-site.json");
+const MANIFEST_FILE = "manifest.json";
 
-if (!fs.existsSync(previewDir)) fs.mkdirSync(previewDir);
+const REQUIRED_CONFIG_KEYS = [
+    "siteUrl", "brandName", "brandColor", "facebookAppId", "twitterSite", "twitterCreator",
+    "googleTagManagerId", "googleAnalyticsId", "profileImageUrl", "defaultImageUrl",
+    "pages", "productsDir", "linksFile", "outputDir",
+];
 
-const fbAppId = "1234567890";
-const twitterSite = "@outdoorsavannah";
-const twitterCreator = "@outdoorsavannah";
-const profileImageUrl = "https://www.outdoorsavannah.com/wp-content/uploads/2025/04/cropped-profile-pic-yt_1.1.2-scaled-2-300x300.webp";
+const ogCardSize = { width: 1200, height: 630 };
+
+// --- Read and check the site config ---
+export function loadSiteConfig(configPath = DEFAULT_CONFIG_PATH) {
+    const config = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+    const missing = REQUIRED_CONFIG_KEYS.filter(key => config[key] === undefined);
+    if (missing.length) {
+        throw new Error(`${configPath} is missing ${missing.map(key => `"${key}"`).join(", ")}`);
+    }
+    return { profileImagePages: [], ...config };
+}
+
+// --- sharp renders the social cards; without it the previews keep the page's own image ---
+let sharpModule;
+async function loadSharp() {
+    if (sharpModule === undefined) {
+        try {
+            sharpModule = (await import("sharp")).default;
+        } catch {
+            sharpModule = null;
+            console.warn("⚠️ sharp module not found, skipping social cards (install it with: npm install sharp)");
+        }
+    }
+    return sharpModule;
+}
+
+// --- qrcode draws the link kit's QR codes locally; without it the existing kit is left as it is ---
+let qrcodeModule;
+async function loadQrcode() {
+    if (qrcodeModule === undefined) {
+        try {
+            qrcodeModule = (await import("qrcode")).default;
+        } catch {
+            qrcodeModule = null;
+            console.warn("⚠️ qrcode module not found, skipping QR codes (install it with: npm install qrcode)");
+        }
+    }
+    return qrcodeModule;
+}
 
 // --- Extract product title from Amazon deeplink URL ---
 function extractProductTitle(deeplinkUrl, variantKey) {
@@ -43,21 +116,116 @@ function extractProductTitle(deeplinkUrl, variantKey) {
     return null;
 }
 
+// --- Map an image URL on the site to its file in wp-content/uploads, preferring the full-size original ---
+function localUploadPath(imageUrl, { root, config }) {
+    const uploadsUrl = `${config.siteUrl}/wp-content/uploads/`;
+    if (!imageUrl || !imageUrl.startsWith(uploadsUrl)) return null;
+
+    const sizedPath = path.join(root, decodeURIComponent(imageUrl.slice(config.siteUrl.length + 1)));
+    const originalPath = sizedPath.replace(/-\d+x\d+(\.\w+)$/, "$1");
+    return [originalPath, sizedPath].find(p => fs.existsSync(p)) || null;
+}
+
+// --- Break a title into lines of roughly maxChars, ending with … when it runs past maxLines ---
+function wrapTitle(title, maxChars = 22, maxLines = 4) {
+    const lines = [];
+    let line = "";
+    for (const word of title.split(/\s+/).filter(Boolean)) {
+        if (line && `${line} ${word}`.length > maxChars) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) lines.push(line);
+
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, maxChars - 1).trimEnd()}…`;
+    }
+    return lines;
+}
+
+// --- 1200x630 card: product photo on the left, title and branding on the right ---
+async function renderSocialCard(sharp, photoPath, title, outputPath, config) {
+    const { width, height } = ogCardSize;
+    const photo = await sharp(photoPath)
+        .resize(height, height, { fit: "cover", position: "attention" })
+        .toBuffer();
+
+    const textX = height + 60;
+    const fontSize = 52;
+    const lineHeight = 64;
+    const lines = wrapTitle(title);
+    const firstLineY = Math.round((height - lines.length * lineHeight) / 2) + fontSize - 30;
+
+    const overlay = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+    <rect x="${height}" y="0" width="12" height="${height}" fill="${escapeAttribute(config.brandColor)}"/>
+    <text x="${textX}" y="${firstLineY}" font-family="Helvetica, Arial, sans-serif" font-size="${fontSize}" font-weight="700" fill="#1a1a1a">
+        ${lines.map((l, i) => `<tspan x="${textX}" dy="${i === 0 ? 0 : lineHeight}">${escapeText(l)}</tspan>`).join("")}
+    </text>
+    <text x="${textX}" y="${height - 90}" font-family="Helvetica, Arial, sans-serif" font-size="34" font-weight="700" fill="${escapeAttribute(config.brandColor)}">${escapeText(config.brandName)}</text>
+    <text x="${textX}" y="${height - 50}" font-family="Helvetica, Arial, sans-serif" font-size="26" fill="#555555">${escapeText(new URL(config.siteUrl).hostname.replace(/^www\./, ""))}</text>
+</svg>`;
+
+    await sharp({ create: { width, height, channels: 3, background: "#f5f5f5" } })
+        .composite([
+            { input: photo, left: 0, top: 0 },
+            { input: Buffer.from(overlay), left: 0, top: 0 },
+        ])
+        .jpeg({ quality: 85, mozjpeg: true })
+        .toFile(outputPath);
+}
+
+// --- Plan the card next to the preview page; null keeps the fallback image ---
+function socialCardFor(previewFile, photoUrl, title, site) {
+    if (!site.sharp) return null;
+
+    const photoPath = localUploadPath(photoUrl, site);
+    if (!photoPath) {
+        console.warn(`⚠️ No local photo for ${photoUrl}, skipping social card`);
+        return null;
+    }
+
+    const file = previewFile.replace(/\.html$/, "-og.jpg");
+    return { file, photoPath, title, url: publicUrl(file, site) };
+}
+
+// --- Absolute URL of a file in the output dir ---
+function publicUrl(file, site) {
+    const publicPath = path.relative(site.root, path.join(site.outDir, file)).split(path.sep).join("/");
+    return `${site.config.siteUrl}/${publicPath}`;
+}
+
 // --- Simplified template that routes to redirect.html ---
-const template = (meta, productKey) => {
-    const pageTitle = (meta.title.includes("Raja and David®") || meta.title.includes("Amazon Affiliate Link"))
+const template = (meta, productKey, config) => {
+    const pageTitle = (meta.title.includes(config.brandName) || meta.title.includes("Amazon Affiliate Link"))
         ? meta.title
-        : `${meta.title} - Raja and David®`;
-    const ogImage = meta.image || "https://www.outdoorsavannah.com/default-og-image.webp";
+        : `${meta.title} - ${config.brandName}`;
+    const ogImage = meta.image || config.defaultImageUrl;
     const ogDescription = meta.description || "";
     const ogUrl = meta.url || "";
+    const ogImageSize = meta.imageSize
+        ? `\n<meta property="og:image:width" content="${escapeAttribute(meta.imageSize.width)}">\n<meta property="og:image:height" content="${escapeAttribute(meta.imageSize.height)}">`
+        : "";
+
+    // --- Values are decoded text; escape them for the context they are written into ---
+    const attr = {
+        title: escapeAttribute(pageTitle),
+        image: escapeAttribute(ogImage),
+        description: escapeAttribute(ogDescription),
+        url: escapeAttribute(ogUrl),
+    };
+    const gtmId = encodeURIComponent(config.googleTagManagerId);
+    const gaId = encodeURIComponent(config.googleAnalyticsId);
 
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
 <meta charset="UTF-8">
 <meta name="viewport" content="width=device-width, initial-scale=1.0">
-<title>${pageTitle}</title>
+<title>${escapeText(pageTitle)}</title>
 <style>
     * {
         margin: 0;
@@ -136,17 +304,17 @@ const template = (meta, productKey) => {
 
 <!-- Open Graph & Twitter meta -->
 <meta property="og:type" content="website">
-<meta property="og:title" content="${pageTitle}">
-<meta property="og:image" content="${ogImage}">
-<meta property="og:description" content="${ogDescription}">
-<meta property="og:url" content="${ogUrl}">
-<meta property="fb:app_id" content="${fbAppId}">
+<meta property="og:title" content="${attr.title}">
+<meta property="og:image" content="${attr.image}">${ogImageSize}
+<meta property="og:description" content="${attr.description}">
+<meta property="og:url" content="${attr.url}">
+<meta property="fb:app_id" content="${escapeAttribute(config.facebookAppId)}">
 <meta name="twitter:card" content="summary_large_image">
-<meta name="twitter:title" content="${pageTitle}">
-<meta name="twitter:description" content="${ogDescription}">
-<meta name="twitter:image" content="${ogImage}">
-<meta name="twitter:site" content="${twitterSite}">
-<meta name="twitter:creator" content="${twitterCreator}">
+<meta name="twitter:title" content="${attr.title}">
+<meta name="twitter:description" content="${attr.description}">
+<meta name="twitter:image" content="${attr.image}">
+<meta name="twitter:site" content="${escapeAttribute(config.twitterSite)}">
+<meta name="twitter:creator" content="${escapeAttribute(config.twitterCreator)}">
 <meta name="robots" content="noindex, nofollow">
 
 <!-- Google Tag Manager -->
@@ -154,30 +322,32 @@ const template = (meta, productKey) => {
 new Date().getTime(),event:'gtm.js'});var f=d.getElementsByTagName(s)[0],
 j=d.createElement(s),dl=l!='dataLayer'?'&l='+l:'';j.async=true;j.src=
 'https://www.googletagmanager.com/gtm.js?id='+i+dl;f.parentNode.insertBefore(j,f);
-})(window,document,'script','dataLayer','GTM-NBJRDCGV');</script>
+})(window,document,'script','dataLayer',${jsString(config.googleTagManagerId)});</script>
 <!-- End Google Tag Manager -->
 
 <!-- Google tag (gtag.js) for GA4 (Analytics)-->
-<script async src="https://www.googletagmanager.com/gtag/js?id=G-0Q38LVTQS4"></script>
+<script async src="https://www.googletagmanager.com/gtag/js?id=${escapeAttribute(gaId)}"></script>
 <script>window.dataLayer = window.dataLayer || [];
   function gtag(){dataLayer.push(arguments);}
   gtag('js', new Date());
 
-  gtag('config', 'G-0Q38LVTQS4');</script>
+  gtag('config', ${jsString(config.googleAnalyticsId)});</script>
 
 <script>
-document.addEventListener("DOMContentLoaded", async function() {
-    const isIOS = /iPhone|iPad|iPod/i.test(navigator.userAgent);
-    const isAndroid = /Android/i.test(navigator.userAgent);
-    const isMobile = isIOS || isAndroid;
-
+// Visitors are normally redirected at the edge (functions/affiliate, functions/go) before this page loads.
+// This only covers variants passed in the URL fragment, which the server never sees.
+document.addEventListener("DOMContentLoaded", function() {
     const url = new URL(window.location.href);
-    const productKey = "${productKey}";
+    const productKey = ${jsString(productKey)};
+
+    if (url.searchParams.get('skipredirect') === 'true') {
+        return;
+    }
 
     let variant = url.searchParams.get('variant');
     if (!variant) {
         const hashMatch = url.hash.match(/[?&]variant=([^&]*)/);
-        if (hashMatch) variant = hashMatch[1];
+        if (hashMatch) variant = decodeURIComponent(hashMatch[1]);
     }
 
     // --- Extract variant from filename for amzn preview pages ---
@@ -188,174 +358,427 @@ document.addEventListener("DOMContentLoaded", async function() {
         }
     }
 
-    variant = variant || "";
-
-    const skipRedirect = url.searchParams.get('skipredirect') === 'true';
-    const hash = url.hash || "";
-
-    if (skipRedirect) {
-        return;
-    }
-
     if (!variant) {
-        let productPageUrl;
-        if (productKey === "home") {
-            productPageUrl = "/";
-        } else if (productKey === "amzn") {
-            return;
-        } else if (productKey.startsWith("product/")) {
-            productPageUrl = "/" + productKey + "/";
-        } else {
-            productPageUrl = "/" + productKey + "/";
+        if (productKey !== "amzn") {
+            window.location.replace(productKey === "home" ? "/" : "/" + productKey + "/");
         }
-        window.location.replace(productPageUrl);
-        return;
-    }
-
-    let amazonLinks = {};
-    try {
-        const res = await fetch('/amazonLinks.json');
-        amazonLinks = await res.json();
-    } catch (e) {
-        console.error('Failed to load amazonLinks.json');
-        window.location.replace('/');
         return;
     }
 
-    const productLinks = amazonLinks[productKey];
-    if (!productLinks) {
-        console.error('Product not found in amazonLinks.json');
-        window.location.replace('/');
-        return;
-    }
-
-    if (!isMobile) {
-        const validKeys = Object.keys(productLinks).filter(
-            k => !k.endsWith("_deeplink_ios") && !k.endsWith("_deeplink_android")
-        );
-        const targetKey = variant && validKeys.find(k => k.toLowerCase() === variant.toLowerCase()) ? variant : validKeys[0];
-        const targetLink = productLinks[targetKey] || '/';
-        window.location.replace(targetLink);
-        return;
-    }
-
-    if (isMobile) {
-        const redirectUrl = "/redirect.html?product=" + encodeURIComponent(productKey) + (variant ? "&variant=" + encodeURIComponent(variant) : "");
-        window.location.replace(redirectUrl + hash);
-    }
+    window.location.replace("/go/" + productKey + "/" + encodeURIComponent(variant));
 });
 </script>
 
 </head>
 <body>
 <!-- Google Tag Manager (noscript) -->
-<noscript><iframe src="https://www.googletagmanager.com/ns.html?id=GTM-NBJRDCGV"
+<noscript><iframe src="https://www.googletagmanager.com/ns.html?id=${escapeAttribute(gtmId)}"
                   height="0" width="0" style="display:none;visibility:hidden"></iframe></noscript>
 <!-- End Google Tag Manager (noscript) -->
     <div class="profile-circle">
-        <img src="https://www.outdoorsavannah.com/wp-content/uploads/2025/04/cropped-profile-pic-yt_1.1.2-scaled-2-300x300.webp" alt="Profile">
+        <img src="${escapeAttribute(config.profileImageUrl)}" alt="Profile">
     </div>
 </body>
 </html>`;
 };
 
-// --- Protected static pages ---
-const protectedPages = ["home", "product", "cat-shelf-guide"];
+// --- Every preview to write: { productKey, file (relative to the output dir), meta, card } ---
+function collectPreviews(site, amazonLinks) {
+    const { root, config } = site;
+    const previews = [];
+
+    // --- Listed pages, then every product directory ---
+    const sources = Object.entries(config.pages).map(([productKey, indexFile]) => ({
+        productKey,
+        slug: productKey,
+        indexPath: path.join(root, indexFile),
+    }));
+    const productDir = path.join(root, config.productsDir);
+    const products = fs.existsSync(productDir)
+        ? fs.readdirSync(productDir).filter(f => fs.statSync(path.join(productDir, f)).isDirectory())
+        : [];
+    for (const slug of products) {
+        sources.push({ productKey: `product/${slug}`, slug, indexPath: path.join(productDir, slug, "index.html") });
+    }
+
+    for (const { productKey, slug, indexPath } of sources) {
+        if (!fs.existsSync(indexPath)) {
+            console.warn(`⚠️ No index.html found for ${slug} at ${indexPath}`);
+            continue;
+        }
 
-// --- Read product subdirectories ---
-const products = fs.readdirSync(productDir).filter(f =>
-    fs.statSync(path.join(productDir, f)).isDirectory()
-);
+        const og = readOpenGraph(fs.readFileSync(indexPath, "utf-8"));
 
-// --- Combine all pages ---
-const allPages = [...protectedPages, ...products];
+        const shouldUseProfileImage = config.profileImagePages.includes(productKey);
+        const image = shouldUseProfileImage ? config.profileImageUrl : (og.image || config.defaultImageUrl);
 
-// --- Load amazonLinks.json ---
-let amazonLinks = {};
-const amazonLinksPath = path.join(__dirname, "amazonLinks.json");
-if (fs.existsSync(amazonLinksPath)) {
-    amazonLinks = JSON.parse(fs.readFileSync(amazonLinksPath, "utf-8"));
+        const meta = {
+            title: og.title || slug,
+            image: image,
+            description: og.description || "",
+            url: og.url || "",
+        };
+
+        const file = `${slug}.html`;
+        const brandSuffix = new RegExp(`\\s*[-|–]\\s*${config.brandName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\s*$`);
+        const card = socialCardFor(file, image, meta.title.replace(brandSuffix, ""), site);
+        previews.push({ productKey, file, meta, card });
+    }
+
+    // --- Special handling for amzn variants ---
+    if (amazonLinks.amzn) {
+        // --- "_" keys (e.g. _local marketplace links) are settings, not variants ---
+        const variantKeys = Object.keys(amazonLinks.amzn).filter(
+            k => !k.startsWith("_") && !k.endsWith("_deeplink_ios") && !k.endsWith("_deeplink_android")
+        );
+
+        for (const variantKey of variantKeys) {
+            const deeplinkUrl = amazonLinks.amzn[variantKey + "_deeplink_ios"] || amazonLinks.amzn[variantKey];
+            const productTitle = extractProductTitle(deeplinkUrl, variantKey);
+
+            const meta = {
+                title: productTitle ? `${productTitle} - Amazon Affiliate Link` : `${variantKey} - Amazon Affiliate Link`,
+                image: config.profileImageUrl,
+                description: "",
+                url: "",
+            };
+
+            const file = `amzn/${variantKey}.html`;
+            const card = socialCardFor(file, config.profileImageUrl, productTitle || variantKey, site);
+            previews.push({ productKey: "amzn", variant: variantKey, file, meta, card });
+        }
+    }
+
+    return previews;
+}
+
+// --- Every product/variant in amazonLinks.json with its /go/ short link ---
+function collectKitLinks(amazonLinks, config) {
+    const links = [];
+    for (const [productKey, variants] of Object.entries(amazonLinks)) {
+        if (productKey.startsWith("_") || !variants || typeof variants !== "object") continue;
+
+        const variantKeys = Object.keys(variants).filter(
+            k => typeof variants[k] === "string" && !k.startsWith("_") && !k.endsWith("_deeplink_ios") && !k.endsWith("_deeplink_android")
+        );
+        for (const variant of variantKeys) {
+            links.push({
+                productKey,
+                variant,
+                name: `${productKey.replace(/\//g, "-")}--${variant}`,
+                shortUrl: `${config.siteUrl}/go/${productKey}/${encodeURIComponent(variant)}`,
+            });
+        }
+    }
+    return links;
 }
 
-// --- Generate preview pages ---
-for (const slug of allPages) {
-    let indexPath;
-    let productKey;
-
-    switch(slug) {
-        case "home":
-            indexPath = path.join(__dirname, "index.html");
-            productKey = "home";
-            break;
-        case "cat-shelf-guide":
-            indexPath = path.join(__dirname, "cat-shelf-guide", "index.html");
-            productKey = "cat-shelf-guide";
-            break;
-        case "product":
-            indexPath = path.join(__dirname, "product", "index.html");
-            productKey = "product";
-            break;
-        default:
-            indexPath = path.join(productDir, slug, "index.html");
-            productKey = `product/${slug}`;
-    }
-
-    if (!fs.existsSync(indexPath)) {
-        console.warn(`⚠️ No index.html found for ${slug} at ${indexPath}`);
-        continue;
-    }
-
-    const html = fs.readFileSync(indexPath, "utf-8");
-    const titleMatch = html.match(/<meta[^>]+property=["']og:title["'][^>]+content=["']([^"']+)["']/i);
-    const imageMatch = html.match(/<meta[^>]+property=["']og:image["'][^>]+content=["']([^"']+)["']/i);
-    const descMatch = html.match(/<meta[^>]+property=["']og:description["'][^>]+content=["']([^"']+)["']/i);
-    const urlMatch = html.match(/<meta[^>]+property=["']og:url["'][^>]+content=["']([^"']+)["']/i);
-
-    const shouldUseProfileImage = slug === "home";
-    const image = shouldUseProfileImage ? profileImageUrl : (imageMatch ? imageMatch[1] : "https://www.outdoorsavannah.com/default-og-image.webp");
-
-    const meta = {
-        title: titleMatch ? titleMatch[1] : slug,
-        image: image,
-        description: descMatch ? descMatch[1] : "",
-        url: urlMatch ? urlMatch[1] : "",
+// --- Kit index: every short link with its QR codes and a copy button ---
+const kitTemplate = (links, config) => {
+    const groups = new Map();
+    for (const link of links) {
+        if (!groups.has(link.productKey)) groups.set(link.productKey, []);
+        groups.get(link.productKey).push(link);
+    }
+
+    const sections = [...groups].map(([productKey, items]) => `<section>
+    <h2>${escapeText(productKey)}</h2>
+${items.map(({ variant, name, shortUrl }) => `    <div class="kit-item">
+        <img src="${escapeAttribute(name)}.svg" alt="QR code for ${escapeAttribute(shortUrl)}" width="160" height="160">
+        <div class="kit-link">
+            <strong>${escapeText(variant)}</strong>
+            <input type="text" readonly value="${escapeAttribute(shortUrl)}" aria-label="Short link for ${escapeAttribute(`${productKey} ${variant}`)}">
+            <div class="kit-actions">
+                <button type="button" data-copy="${escapeAttribute(shortUrl)}">Copy link</button>
+                <a href="${escapeAttribute(name)}.svg" download>SVG</a>
+                <a href="${escapeAttribute(name)}.png" download>PNG</a>
+            </div>
+        </div>
+    </div>`).join("\n")}
+</section>`).join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="robots" content="noindex, nofollow">
+<title>Affiliate link kit - ${escapeText(config.brandName)}</title>
+<style>
+    body {
+        margin: 0 auto;
+        max-width: 960px;
+        padding: 24px;
+        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif;
+        color: #1a1a1a;
+        background: #f5f5f5;
+    }
+
+    h2 {
+        margin-top: 32px;
+        color: ${config.brandColor};
+    }
+
+    .kit-item {
+        display: flex;
+        gap: 16px;
+        align-items: center;
+        margin-bottom: 16px;
+        padding: 12px;
+        background: #ffffff;
+        border-radius: 8px;
+        box-shadow: 0 1px 4px rgba(0, 0, 0, 0.1);
+    }
+
+    .kit-link {
+        flex: 1;
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+    }
+
+    .kit-link input {
+        width: 100%;
+        padding: 8px;
+        font-size: 15px;
+        box-sizing: border-box;
+    }
+
+    .kit-actions {
+        display: flex;
+        gap: 12px;
+        align-items: center;
+    }
+</style>
+</head>
+<body>
+<h1>Affiliate link kit</h1>
+<p>Short links for every product link, with QR codes for printed cards and video overlays.</p>
+${sections}
+<script>
+document.addEventListener("click", function(event) {
+    const button = event.target.closest("button[data-copy]");
+    if (!button) return;
+
+    const done = function() {
+        button.textContent = "Copied!";
+        setTimeout(function() { button.textContent = "Copy link"; }, 1500);
     };
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(button.dataset.copy).then(done);
+    } else {
+        const input = button.closest(".kit-link").querySelector("input");
+        input.select();
+        document.execCommand("copy");
+        done();
+    }
+});
+</script>
+</body>
+</html>
+`;
+};
 
-    const fileName = `${slug}.html`;
-    const previewPath = path.join(previewDir, fileName);
+// --- Kit files to write: { file, content } for each QR code and the index page; null without qrcode ---
+async function buildKit(links, site) {
+    const qrcode = await loadQrcode();
+    if (!qrcode) return null;
 
-    let previewHtml = template(meta, productKey);
+    const files = [];
+    const options = { errorCorrectionLevel: "M", margin: 2, color: { dark: "#000000", light: "#ffffff" } };
+    for (const { name, shortUrl } of links) {
+        files.push({ file: `kit/${name}.svg`, content: await qrcode.toString(shortUrl, { ...options, type: "svg" }) });
+        files.push({ file: `kit/${name}.png`, content: await qrcode.toBuffer(shortUrl, { ...options, type: "png", width: 600 }) });
+    }
 
-    fs.writeFileSync(previewPath, previewHtml, "utf-8");
-    console.log(`✅ Generated preview for ${productKey}`);
+    files.push({ file: "kit/index.html", content: kitTemplate(links, site.config) });
+    return files;
 }
 
-// --- Special handling for amzn variants ---
-if (amazonLinks.amzn) {
-    const amznDir = path.join(previewDir, "amzn");
-    if (!fs.existsSync(amznDir)) fs.mkdirSync(amznDir, { recursive: true });
+// --- Manifest of generated files, so unchanged previews are left alone and removed ones cleaned up ---
+function readManifest(outDir) {
+    const manifestPath = path.join(outDir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) return { files: {} };
+    try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+        return { files: {}, ...manifest };
+    } catch (err) {
+        console.warn(`⚠️ Ignoring unreadable ${manifestPath}: ${err.message}`);
+        return { files: {} };
+    }
+}
 
-    const variantKeys = Object.keys(amazonLinks.amzn).filter(
-        k => !k.endsWith("_deeplink_ios") && !k.endsWith("_deeplink_android")
-    );
+const sha256 = data => crypto.createHash("sha256").update(data).digest("hex");
+
+// --- Everything the card image depends on ---
+function cardHash(card, config) {
+    return sha256([
+        sha256(fs.readFileSync(card.photoPath)),
+        card.title,
+        config.brandName,
+        config.brandColor,
+        config.siteUrl,
+    ].join("\u0000"));
+}
 
-    for (const variantKey of variantKeys) {
-        const deeplinkUrl = amazonLinks.amzn[variantKey + "_deeplink_ios"] || amazonLinks.amzn[variantKey];
-        const productTitle = extractProductTitle(deeplinkUrl, variantKey);
+// --- added / updated / unchanged; without a manifest hash, compare with the file itself ---
+function fileStatus(fullPath, content, previousHash, force) {
+    if (!fs.existsSync(fullPath)) return "added";
+    if (force) return "updated";
+    if (previousHash) return previousHash === sha256(content) ? "unchanged" : "updated";
+    return fs.readFileSync(fullPath).equals(Buffer.from(content)) ? "unchanged" : "updated";
+}
 
-        const meta = {
-            title: productTitle ? `${productTitle} - Amazon Affiliate Link` : `${variantKey} - Amazon Affiliate Link`,
-            image: profileImageUrl,
-            description: "",
-            url: "",
-        };
+// --- Generated files left over from products or variants that no longer exist ---
+// Only files recorded in the previous manifest are candidates, so other files in a shared output dir are never touched
+function findOrphans(outDir, manifest, current) {
+    const candidates = new Set(Object.keys(manifest.files).flatMap(file => [file, manifest.files[file].card].filter(Boolean)));
+    return [...candidates].filter(file => !current.has(file) && fs.existsSync(path.join(outDir, file))).sort();
+}
 
-        const previewPath = path.join(amznDir, `${variantKey}.html`);
-        let previewHtml = template(meta, "amzn");
+/**
+ * Generate the preview pages (and social cards) and the link kit
+ * root: site directory; outDir: defaults to <root>/<config.outputDir>; dryRun: report without writing;
+ * force: rewrite every page and card, even when the manifest says it is unchanged
+ * Resolves to { previews: [{ productKey, variant, file, title, card, status }], kit: [{ productKey, variant, shortUrl, svg, png }],
+ *              added, updated, unchanged, removed, dryRun }
+ * where added/updated/unchanged/removed are lists of files relative to the output dir
+ */
+export async function generateAffiliatePreviews({ root = ROOT, outDir, config = loadSiteConfig(), dryRun = false, force = false } = {}) {
+    const site = {
+        root: path.resolve(root),
+        outDir: path.resolve(outDir || path.join(root, config.outputDir)),
+        config,
+        sharp: await loadSharp(),
+    };
+
+    const manifest = readManifest(site.outDir);
+    const nextManifest = { files: {} };
+    const summary = { added: [], updated: [], unchanged: [], removed: [] };
+    const previews = [];
+
+    const linksPath = path.join(site.root, config.linksFile);
+    const amazonLinks = fs.existsSync(linksPath) ? JSON.parse(fs.readFileSync(linksPath, "utf-8")) : {};
+
+    for (const { productKey, variant, file, meta, card } of collectPreviews(site, amazonLinks)) {
+        const previewPath = path.join(site.outDir, file);
+        const previous = manifest.files[file] || {};
+        let cardFile = null;
+        let cardEntry = null;
+
+        if (card) {
+            const hash = cardHash(card, config);
+            const cardPath = path.join(site.outDir, card.file);
+            const cardChanged = force || previous.card !== card.file || previous.cardHash !== hash || !fs.existsSync(cardPath);
+
+            if (!cardChanged || dryRun) {
+                cardFile = card.file;
+            } else {
+                fs.mkdirSync(path.dirname(cardPath), { recursive: true });
+                try {
+                    await renderSocialCard(site.sharp, card.photoPath, card.title, cardPath, config);
+                    cardFile = card.file;
+                } catch (err) {
+                    console.warn(`⚠️ Could not render social card ${card.file}: ${err.message}`);
+                }
+            }
+            if (cardFile) cardEntry = { card: cardFile, cardHash: hash };
+        } else if (!site.sharp && previous.card && fs.existsSync(path.join(site.outDir, previous.card))) {
+            // Keep the card rendered on a machine with sharp
+            cardFile = previous.card;
+            cardEntry = { card: previous.card, cardHash: previous.cardHash };
+        }
+
+        const pageMeta = cardFile ? { ...meta, image: publicUrl(cardFile, site), imageSize: ogCardSize } : meta;
+        const previewHtml = template(pageMeta, productKey, config);
+        const hash = sha256(previewHtml);
+
+        const status = fileStatus(previewPath, previewHtml, previous.hash, force);
+
+        if (status !== "unchanged" && !dryRun) {
+            fs.mkdirSync(path.dirname(previewPath), { recursive: true });
+            fs.writeFileSync(previewPath, previewHtml, "utf-8");
+        }
 
-        fs.writeFileSync(previewPath, previewHtml, "utf-8");
-        console.log(`✅ Generated amzn variant preview: ${variantKey} → "${meta.title}"`);
+        summary[status].push(file);
+        nextManifest.files[file] = { productKey, variant: variant || null, hash, ...cardEntry };
+        previews.push({ productKey, variant: variant || null, file, title: meta.title, card: cardFile, status });
     }
+
+    // --- Link kit: short links and QR codes for every product/variant ---
+    const kitLinks = collectKitLinks(amazonLinks, config);
+    const kitFiles = await buildKit(kitLinks, site);
+    if (!kitFiles) {
+        // Keep the kit generated on a machine with qrcode
+        for (const [file, entry] of Object.entries(manifest.files)) {
+            if (file.startsWith("kit/")) nextManifest.files[file] = entry;
+        }
+    }
+    for (const { file, content } of kitFiles || []) {
+        const fullPath = path.join(site.outDir, file);
+        const previous = manifest.files[file] || {};
+        const status = fileStatus(fullPath, content, previous.hash, force);
+
+        if (status !== "unchanged" && !dryRun) {
+            fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+            fs.writeFileSync(fullPath, content);
+        }
+        summary[status].push(file);
+        nextManifest.files[file] = { hash: sha256(content) };
+    }
+
+    const current = new Set([...previews.flatMap(p => [p.file, p.card].filter(Boolean)), ...Object.keys(nextManifest.files)]);
+    summary.removed = findOrphans(site.outDir, manifest, current);
+
+    if (!dryRun) {
+        for (const file of summary.removed) {
+            fs.unlinkSync(path.join(site.outDir, file));
+        }
+        fs.mkdirSync(site.outDir, { recursive: true });
+        fs.writeFileSync(path.join(site.outDir, MANIFEST_FILE), JSON.stringify(nextManifest, null, 2) + "\n", "utf-8");
+    }
+
+    const kit = kitLinks.map(({ productKey, variant, name, shortUrl }) => ({
+        productKey, variant, shortUrl, svg: `kit/${name}.svg`, png: `kit/${name}.png`,
+    }));
+    return { previews, kit, ...summary, dryRun };
 }
 
-console.log("\n🎉 All preview pages generated!");
\ No newline at end of file
+// --- Command line ---
+function parseArgs(argv) {
+    const options = { config: DEFAULT_CONFIG_PATH, root: ROOT, outDir: null, dryRun: false, force: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--config") options.config = path.resolve(argv[++i]);
+        else if (arg === "--root") options.root = path.resolve(argv[++i]);
+        else if (arg === "--out") options.outDir = path.resolve(argv[++i]);
+        else if (arg === "--dry-run") options.dryRun = true;
+        else if (arg === "--force") options.force = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const config = loadSiteConfig(options.config);
+    const { added, updated, unchanged, removed } = await generateAffiliatePreviews({ ...options, config });
+
+    const verb = (done, planned) => options.dryRun ? planned : done;
+    for (const file of added) console.log(`✅ ${verb("Added", "Would add")} ${file}`);
+    for (const file of updated) console.log(`🔄 ${verb("Updated", "Would update")} ${file}`);
+    for (const file of removed) console.log(`🗑️ ${verb("Removed", "Would remove")} ${file}`);
+
+    const counts = `${added.length} added, ${updated.length} updated, ${removed.length} removed, ${unchanged.length} unchanged`;
+    console.log(options.dryRun
+        ? `\n📝 Dry run: ${counts} (nothing written)`
+        : `\n🎉 Preview pages up to date: ${counts}`);
+}
+
+// --- Run if called directly ---
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch(err => {
+        console.error("Error:", err);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,198 @@
+/**
+ * HTML Utilities for Generated Pages
+ *
+ * Reading: parseMetaTags walks the markup tag by tag instead of matching regexes, so attribute
+ * values may use either quote style (or none), contain the other quote character, and carry
+ * entities (&amp;, &reg;, &#39;, &#x2019;...), which are decoded. Comments and the contents of
+ * <script>/<style> elements are skipped.
+ *
+ * Writing: every interpolated value goes through the escaper for its context:
+ *   escapeText        element content, e.g. <title>${escapeText(title)}</title>
+ *   escapeAttribute   quoted attribute values, e.g. content="${escapeAttribute(description)}"
+ *   jsString          a complete JS string literal for inline scripts, safe against </script>
+ *
+ * Usage:
+ *   import { readOpenGraph, escapeAttribute } from './html-utils.js';
+ *   const { title, image } = readOpenGraph(html);
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  reg: '®',
+  copy: '©',
+  trade: '™',
+  hellip: '…',
+  ndash: '–',
+  mdash: '—',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  laquo: '«',
+  raquo: '»',
+  bull: '•',
+  middot: '·',
+  deg: '°',
+  times: '×',
+  eacute: 'é',
+};
+
+// Elements whose content is raw text rather than markup
+const RAW_TEXT_ELEMENTS = ['script', 'style'];
+
+// ============================================================================
+// Reading
+// ============================================================================
+
+/**
+ * Decode character references; unknown named entities are left as written
+ */
+export function decodeEntities(text) {
+  return String(text).replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);/g, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, ref) ? NAMED_ENTITIES[ref] : match;
+  });
+}
+
+/**
+ * Parse the tag starting at html[start] (which is "<")
+ * Returns { name, attributes, end } with lower-cased names and decoded values, or null when it is not a tag
+ */
+function parseTag(html, start) {
+  const nameMatch = /^<([a-zA-Z][a-zA-Z0-9-]*)/.exec(html.slice(start, start + 64));
+  if (!nameMatch) return null;
+
+  const attributes = {};
+  let pos = start + nameMatch[0].length;
+
+  while (pos < html.length) {
+    while (/[\s/]/.test(html[pos] || '')) pos++;
+    if (pos >= html.length || html[pos] === '>') break;
+
+    const attrMatch = /^[^\s"'>/=]+/.exec(html.slice(pos));
+    if (!attrMatch) {
+      pos++;
+      continue;
+    }
+    const attrName = attrMatch[0].toLowerCase();
+    pos += attrMatch[0].length;
+
+    let value = '';
+    const equals = /^\s*=\s*/.exec(html.slice(pos));
+    if (equals) {
+      pos += equals[0].length;
+      const quote = html[pos];
+      if (quote === '"' || quote === "'") {
+        const close = html.indexOf(quote, pos + 1);
+        const end = close === -1 ? html.length : close;
+        value = html.slice(pos + 1, end);
+        pos = end + 1;
+      } else {
+        const unquoted = /^[^\s>]*/.exec(html.slice(pos))[0];
+        value = unquoted;
+        pos += unquoted.length;
+      }
+    }
+
+    // The first occurrence of an attribute wins, as in browsers
+    if (!(attrName in attributes)) attributes[attrName] = decodeEntities(value);
+  }
+
+  return { name: nameMatch[1].toLowerCase(), attributes, end: pos + 1 };
+}
+
+/**
+ * Every <meta> tag in the document, as attribute objects in document order
+ */
+export function parseMetaTags(html) {
+  const tags = [];
+  let pos = 0;
+
+  while ((pos = html.indexOf('<', pos)) !== -1) {
+    if (html.startsWith('<!--', pos)) {
+      const close = html.indexOf('-->', pos + 4);
+      pos = close === -1 ? html.length : close + 3;
+      continue;
+    }
+
+    const tag = parseTag(html, pos);
+    if (!tag) {
+      pos++;
+      continue;
+    }
+    pos = tag.end;
+
+    if (tag.name === 'meta') {
+      tags.push(tag.attributes);
+    } else if (RAW_TEXT_ELEMENTS.includes(tag.name)) {
+      const close = html.toLowerCase().indexOf(`</${tag.name}`, pos);
+      pos = close === -1 ? html.length : close;
+    }
+  }
+
+  return tags;
+}
+
+/**
+ * Content of the first meta tag whose property (or name) is `key`, or null
+ */
+export function getMetaContent(html, key, tags = parseMetaTags(html)) {
+  const tag = tags.find(t => t.property === key || t.name === key);
+  return tag && tag.content !== undefined ? tag.content : null;
+}
+
+/**
+ * Open Graph title, image, description and url of a page (null when missing)
+ */
+export function readOpenGraph(html) {
+  const tags = parseMetaTags(html);
+  return {
+    title: getMetaContent(html, 'og:title', tags),
+    image: getMetaContent(html, 'og:image', tags),
+    description: getMetaContent(html, 'og:description', tags),
+    url: getMetaContent(html, 'og:url', tags),
+  };
+}
+
+// ============================================================================
+// Writing
+// ============================================================================
+
+/**
+ * Escape text placed between tags
+ */
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape a value placed inside a quoted attribute (either quote style)
+ */
+export function escapeAttribute(value) {
+  return escapeText(value)
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * A double-quoted JS string literal that is safe inside an inline <script>:
+ * "<" and ">" are escaped so the value cannot close the script or open a comment
+ */
+export function jsString(value) {
+  return JSON.stringify(String(value ?? ''))
+    .replace(/</g, '\\u003C')
+    .replace(/>/g, '\\u003E')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
@@ -0,0 +1,475 @@
+#!/usr/bin/env node
+
+/**
+ * amazonLinks.json Validator
+ *
+ * Checks the hand-edited link map before it is deployed:
+ * 1. Structure against amazonLinks.schema.json (key names, https web links, app deep links)
+ * 2. Duplicate keys, which JSON.parse would silently drop
+ * 3. Every product key is a directory under product/ or a known page
+ * 4. Every variant has _deeplink_ios and _deeplink_android entries, and no deep link is orphaned
+ * 5. Android intent:// links are well-formed (#Intent;...package=...;end)
+ * 6. Amazon URLs carry our associate tag
+ * 7. "_marketplaces" assigns each country to one store and every store besides amazon.com has an
+ *    associate tag; every "_local" link names a known variant and a tagged marketplace and carries
+ *    that marketplace's associate tag (the edge ignores local links to untagged stores)
+ * 8. "_split" test arms are variants of the product, and at least one arm has a weight
+ *
+ * Keys starting with "_" are settings rather than products or variants.
+ *
+ * Problems are printed as "amazonLinks.json:<line>: error|warning: <message>".
+ * Exits with 1 when there are errors (warnings alone pass).
+ *
+ * Usage:
+ *   node scripts/validate-amazon-links.js [path/to/amazonLinks.json]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), '..');
+
+const DEFAULT_LINKS_PATH = path.join(ROOT, 'amazonLinks.json');
+const SCHEMA_PATH = path.join(ROOT, 'amazonLinks.schema.json');
+
+export const ASSOCIATE_TAG = 'outdoorsavann-20';
+
+// Store of the default links; visitors routed to any other marketplace need that store's own tag
+const DEFAULT_MARKETPLACE_HOST = 'www.amazon.com';
+
+// Product keys that are pages rather than product/<dir>
+export const KNOWN_PAGES = ['home', 'about', 'product', 'cat-shelf-guide', 'amzn'];
+
+const PLATFORM_SUFFIXES = ['_deeplink_ios', '_deeplink_android'];
+
+const INTENT_PATTERN = /^intent:\/\/[^#\s]+#Intent;(?:[^;]+;)*end$/;
+
+const ASIN_PATTERN = /^[A-Z0-9]{10}$/;
+
+const isReservedKey = key => key.startsWith('_');
+
+// ============================================================================
+// JSON with line numbers
+// ============================================================================
+
+/**
+ * Parse JSON text, recording the line of every object key and any duplicate keys
+ * Returns { value, lines: Map<"a\u0000b", line>, duplicates: [{ path, line, firstLine }] }
+ */
+export function parseWithLines(text) {
+  let pos = 0;
+  let line = 1;
+  const lines = new Map();
+  const duplicates = [];
+
+  function fail(message) {
+    throw new SyntaxError(`${message} at line ${line}`);
+  }
+
+  function skipWhitespace() {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      if (text[pos] === '\n') line++;
+      pos++;
+    }
+  }
+
+  function parseString() {
+    const start = pos;
+    pos++;
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] === '\\') pos++;
+      if (text[pos] === '\n') fail('Unterminated string');
+      pos++;
+    }
+    if (pos >= text.length) fail('Unterminated string');
+    pos++;
+    return JSON.parse(text.slice(start, pos));
+  }
+
+  function parseValue(keyPath) {
+    skipWhitespace();
+    const ch = text[pos];
+    if (ch === '{') return parseObject(keyPath);
+    if (ch === '[') return parseArray(keyPath);
+    if (ch === '"') return parseString();
+
+    const match = text.slice(pos).match(/^(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/);
+    if (!match) fail(`Unexpected character ${JSON.stringify(ch)}`);
+    pos += match[0].length;
+    return JSON.parse(match[0]);
+  }
+
+  function parseArray(keyPath) {
+    const result = [];
+    pos++;
+    skipWhitespace();
+    if (text[pos] === ']') {
+      pos++;
+      return result;
+    }
+    for (;;) {
+      result.push(parseValue([...keyPath, String(result.length)]));
+      skipWhitespace();
+      if (text[pos] === ',') {
+        pos++;
+      } else if (text[pos] === ']') {
+        pos++;
+        return result;
+      } else {
+        fail('Expected , or ]');
+      }
+    }
+  }
+
+  function parseObject(keyPath) {
+    const result = {};
+    pos++;
+    skipWhitespace();
+    if (text[pos] === '}') {
+      pos++;
+      return result;
+    }
+    for (;;) {
+      skipWhitespace();
+      if (text[pos] !== '"') fail('Expected a key');
+      const keyLine = line;
+      const key = parseString();
+      const childPath = [...keyPath, key];
+      const id = childPath.join('\u0000');
+
+      if (lines.has(id)) {
+        duplicates.push({ path: childPath, line: keyLine, firstLine: lines.get(id) });
+      } else {
+        lines.set(id, keyLine);
+      }
+
+      skipWhitespace();
+      if (text[pos] !== ':') fail('Expected :');
+      pos++;
+      result[key] = parseValue(childPath);
+
+      skipWhitespace();
+      if (text[pos] === ',') {
+        pos++;
+      } else if (text[pos] === '}') {
+        pos++;
+        return result;
+      } else {
+        fail('Expected , or }');
+      }
+    }
+  }
+
+  const value = parseValue([]);
+  skipWhitespace();
+  if (pos < text.length) fail('Unexpected trailing content');
+  return { value, lines, duplicates };
+}
+
+// ============================================================================
+// JSON Schema (the subset amazonLinks.schema.json uses)
+// ============================================================================
+
+/**
+ * Check a value against a schema using type, pattern, minimum, minItems, items, minProperties, required,
+ * propertyNames, properties, patternProperties and additionalProperties
+ * Returns [{ path, message }]
+ */
+export function checkSchema(schema, value, keyPath = []) {
+  const errors = [];
+  const where = keyPath.length ? `"${keyPath.join(' → ')}"` : 'root';
+
+  if (schema.type) {
+    const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (actual !== schema.type) {
+      return [{ path: keyPath, message: `${where} must be a ${schema.type}, found ${actual}` }];
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path: keyPath, message: `${where} must be at least ${schema.minimum}` });
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path: keyPath, message: `${where} does not match ${schema.pattern}: ${value}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path: keyPath, message: `${where} must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...checkSchema(schema.items, item, [...keyPath, String(i)])));
+    }
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const keys = Object.keys(value);
+    if (schema.minProperties && keys.length < schema.minProperties) {
+      errors.push({ path: keyPath, message: `${where} must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}` });
+    }
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: keyPath, message: `${where} is missing "${key}"` });
+      }
+    }
+
+    for (const key of keys) {
+      const childPath = [...keyPath, key];
+      if (schema.propertyNames && schema.propertyNames.pattern && !new RegExp(schema.propertyNames.pattern).test(key)) {
+        errors.push({ path: childPath, message: `Key "${key}" in ${where} does not match ${schema.propertyNames.pattern}` });
+        continue;
+      }
+
+      let matched = false;
+      if (schema.properties && schema.properties[key]) {
+        matched = true;
+        errors.push(...checkSchema(schema.properties[key], value[key], childPath));
+      }
+      for (const [pattern, subschema] of Object.entries(schema.patternProperties || {})) {
+        if (new RegExp(pattern).test(key)) {
+          matched = true;
+          errors.push(...checkSchema(subschema, value[key], childPath));
+        }
+      }
+      if (!matched) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: childPath, message: `Unexpected key "${key}" in ${where}` });
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(...checkSchema(schema.additionalProperties, value[key], childPath));
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// Link rules
+// ============================================================================
+
+function isAmazonUrl(url) {
+  return /(^|\.)amazon\.[a-z.]+$/i.test(url.hostname);
+}
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Every "_local" marketplace link as { productKey, variant, marketplace, url, tag }
+ * ASIN entries are expanded to https://<host>/dp/<ASIN>?tag=<tag>; tag is the marketplace's (or null)
+ */
+export function localLinks(links) {
+  const marketplaces = (links && links._marketplaces) || {};
+  const result = [];
+  for (const [productKey, variants] of Object.entries(links || {})) {
+    if (isReservedKey(productKey) || !variants || typeof variants._local !== 'object') continue;
+
+    for (const [variant, entries] of Object.entries(variants._local || {})) {
+      for (const [marketplace, value] of Object.entries(entries || {})) {
+        const settings = marketplaces[marketplace];
+        const tag = (settings && settings.tag) || null;
+        let url = value;
+        if (ASIN_PATTERN.test(value) && settings) {
+          url = `https://${settings.host}/dp/${value}${tag ? `?tag=${tag}` : ''}`;
+        }
+        result.push({ productKey, variant, marketplace, url, tag });
+      }
+    }
+  }
+  return result;
+}
+
+// Does the product key have a page on the site?
+function productKeyExists(productKey, root) {
+  if (KNOWN_PAGES.includes(productKey)) return true;
+  const match = productKey.match(/^product\/([a-z0-9-]+)$/);
+  return Boolean(match) && fs.existsSync(path.join(root, 'product', match[1]));
+}
+
+/**
+ * Validate amazonLinks.json text
+ * Returns [{ line, severity: 'error'|'warning', message }] sorted by line
+ */
+export function validateLinks(text, { schema, root = ROOT } = {}) {
+  const issues = [];
+
+  let parsed;
+  try {
+    parsed = parseWithLines(text);
+  } catch (err) {
+    const line = Number((err.message.match(/line (\d+)/) || [])[1]) || 1;
+    return [{ line, severity: 'error', message: `Invalid JSON: ${err.message}` }];
+  }
+
+  const { value: links, lines, duplicates } = parsed;
+  // Array items have no key of their own; use the closest key above them
+  const lineOf = keyPath => {
+    for (let i = keyPath.length; i > 0; i--) {
+      const line = lines.get(keyPath.slice(0, i).join('\u0000'));
+      if (line) return line;
+    }
+    return 1;
+  };
+  const report = (keyPath, severity, message) => issues.push({ line: lineOf(keyPath), severity, message });
+
+  for (const { path: keyPath, line, firstLine } of duplicates) {
+    issues.push({ line, severity: 'error', message: `Duplicate key "${keyPath.join(' → ')}" (first defined on line ${firstLine})` });
+  }
+
+  if (schema) {
+    for (const { path: keyPath, message } of checkSchema(schema, links)) {
+      report(keyPath, 'error', message);
+    }
+  }
+
+  if (!links || typeof links !== 'object' || Array.isArray(links)) {
+    return issues.sort((a, b) => a.line - b.line);
+  }
+
+  const marketplaces = links._marketplaces && typeof links._marketplaces === 'object' ? links._marketplaces : {};
+  const countryOwners = new Map();
+  for (const [id, settings] of Object.entries(marketplaces)) {
+    if (settings && settings.host !== DEFAULT_MARKETPLACE_HOST && !settings.tag) {
+      const countries = (settings.countries || []).join(', ') || 'no countries';
+      report(['_marketplaces', id], 'warning', `Marketplace "${id}" (${countries}) has no associate tag, so visitors there get the default amazon.com links`);
+    }
+    for (const country of (settings && settings.countries) || []) {
+      if (countryOwners.has(country)) {
+        report(['_marketplaces', id], 'error', `Country ${country} is assigned to both "${countryOwners.get(country)}" and "${id}"`);
+      } else {
+        countryOwners.set(country, id);
+      }
+    }
+  }
+
+  for (const [productKey, variants] of Object.entries(links)) {
+    if (isReservedKey(productKey)) continue;
+    if (!productKeyExists(productKey, root)) {
+      report([productKey], 'error', `Orphaned product key "${productKey}": no product/ directory or known page`);
+    }
+    if (!variants || typeof variants !== 'object') continue;
+
+    if (variants._split && typeof variants._split === 'object') {
+      const arms = Object.entries(variants._split);
+      for (const [arm] of arms) {
+        if (typeof variants[arm] !== 'string' || isReservedKey(arm) || PLATFORM_SUFFIXES.some(s => arm.endsWith(s))) {
+          report([productKey, '_split', arm], 'error', `Split test arm "${productKey} → ${arm}" is not a variant of the product`);
+        }
+      }
+      if (arms.length && !arms.some(([, weight]) => weight > 0)) {
+        report([productKey, '_split'], 'warning', `Every split test arm of "${productKey}" has weight 0, so the test is paused`);
+      }
+    }
+
+    for (const [key, value] of Object.entries(variants)) {
+      if (isReservedKey(key)) continue;
+      const keyPath = [productKey, key];
+      const suffix = PLATFORM_SUFFIXES.find(s => key.endsWith(s));
+
+      if (suffix) {
+        const base = key.slice(0, -suffix.length);
+        if (!(base in variants)) {
+          report(keyPath, 'error', `Orphaned deep link "${productKey} → ${key}": there is no "${base}" variant`);
+        }
+      } else {
+        for (const s of PLATFORM_SUFFIXES) {
+          if (!(`${key}${s}` in variants)) {
+            report(keyPath, 'error', `Variant "${productKey} → ${key}" is missing "${key}${s}"`);
+          }
+        }
+      }
+
+      if (typeof value !== 'string') continue;
+
+      if (key.endsWith('_deeplink_android')) {
+        if (value.startsWith('intent://')) {
+          if (!INTENT_PATTERN.test(value) || !/;package=[\w.]+;/.test(value)) {
+            report(keyPath, 'error', `Malformed intent:// URL for "${productKey} → ${key}" (expected intent://...#Intent;...;package=<app>;...;end)`);
+          }
+        } else {
+          report(keyPath, 'warning', `Android deep link "${productKey} → ${key}" is not an intent:// URL`);
+        }
+      }
+
+      const url = parseUrl(value);
+      if (url && isAmazonUrl(url) && url.searchParams.get('tag') !== ASSOCIATE_TAG) {
+        report(keyPath, 'error', `Amazon URL for "${productKey} → ${key}" is missing the associate tag ${ASSOCIATE_TAG}`);
+      }
+    }
+  }
+
+  for (const { productKey, variant, marketplace, url, tag } of localLinks(links)) {
+    const keyPath = [productKey, '_local', variant, marketplace];
+    const label = `"${productKey} → ${variant}" in ${marketplace}`;
+    const settings = marketplaces[marketplace];
+    const variants = links[productKey];
+
+    if (typeof variants[variant] !== 'string' || PLATFORM_SUFFIXES.some(s => variant.endsWith(s))) {
+      report([productKey, '_local', variant], 'error', `Local link for unknown variant "${productKey} → ${variant}"`);
+    }
+    if (!settings) {
+      report(keyPath, 'error', `Local link ${label}: marketplace "${marketplace}" is not listed in _marketplaces`);
+      continue;
+    }
+
+    const parsedUrl = parseUrl(url);
+    if (!parsedUrl) {
+      report(keyPath, 'error', `Local link ${label} is neither a URL nor an ASIN`);
+      continue;
+    }
+    if (parsedUrl.hostname !== settings.host) {
+      report(keyPath, 'error', `Local link ${label} points at ${parsedUrl.hostname} instead of ${settings.host}`);
+    }
+    if (!tag) {
+      // The edge never uses it (visitors get the default link), so the entry is a mistake either way
+      report(keyPath, 'error', `Marketplace "${marketplace}" has no associate tag, so ${label} is never used`);
+    } else if (parsedUrl.searchParams.get('tag') !== tag) {
+      report(keyPath, 'error', `Local link ${label} is missing the associate tag ${tag}`);
+    }
+  }
+
+  return issues.sort((a, b) => a.line - b.line);
+}
+
+// ============================================================================
+// Command line
+// ============================================================================
+
+function main() {
+  const linksPath = path.resolve(process.argv[2] || DEFAULT_LINKS_PATH);
+  const text = fs.readFileSync(linksPath, 'utf-8');
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf-8'));
+
+  const issues = validateLinks(text, { schema, root: path.dirname(linksPath) });
+  const label = path.relative(process.cwd(), linksPath) || linksPath;
+  for (const issue of issues) {
+    console.log(`${label}:${issue.line}: ${issue.severity}: ${issue.message}`);
+  }
+
+  const errors = issues.filter(i => i.severity === 'error').length;
+  const warnings = issues.length - errors;
+  if (errors) {
+    console.log(`\n✗ ${errors} error(s), ${warnings} warning(s)`);
+    process.exit(1);
+  }
+  console.log(`${issues.length ? '\n' : ''}✓ ${label} is valid${warnings ? ` (${warnings} warning(s))` : ''}`);
+}
+
+// Run if called directly
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  try {
+    main();
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+
+import { createHarness } from '../scripts/functions-harness.js';
+
+// Handlers are invoked directly, so the admin session middleware is not involved
+const LICENSE_REQUEST = 'functions/admin/api/license-requests/[reference].js';
+const UNSUBSCRIBE = 'functions/admin/api/subscribers/unsubscribe.js';
+
+describe('admin JSON endpoints', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = await createHarness();
+    await harness.env.DB.prepare(
+      `INSERT INTO license_requests (reference, company, name, email, type_of_use, works, duration)
+       VALUES ('LR-20250412-7KQ2MX', 'ACME', 'Jane', 'jane@example.com', 'editorial', 'Video', '1-year')`
+    ).run();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  function patchStatus(body) {
+    return harness.invoke(LICENSE_REQUEST, {
+      method: 'PATCH',
+      url: '/admin/api/license-requests/LR-20250412-7KQ2MX',
+      params: { reference: 'LR-20250412-7KQ2MX' },
+      body,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  test('updates a license request status', async () => {
+    const { response, json } = await patchStatus('{"status":"quoted"}');
+
+    assert.equal(response.status, 200);
+    assert.equal(json.status, 'quoted');
+  });
+
+  for (const body of ['null', '[]', '"quoted"', '42']) {
+    test(`rejects a ${body} body with 400`, async () => {
+      for (const { response, json } of [
+        await patchStatus(body),
+        await harness.invoke(UNSUBSCRIBE, { method: 'POST', body, headers: { 'Content-Type': 'application/json' } }),
+      ]) {
+        assert.equal(response.status, 400);
+        assert.equal(json.code, 'invalid_request');
+      }
+    });
+  }
+
+  test('unsubscribes an address by hand', async () => {
+    const { response } = await harness.invoke(UNSUBSCRIBE, { method: 'POST', json: { email: 'cat@example.com' } });
+
+    assert.equal(response.status, 200);
+    const row = await harness.env.DB.prepare('SELECT reason FROM email_suppressions WHERE email = ?').bind('cat@example.com').first();
+    assert.equal(row.reason, 'manual');
+  });
+});
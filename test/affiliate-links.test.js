@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+
+import { getProductLinks, getSplitArms, localizedUrl, pickArm, productPageUrl } from '../functions/_lib/affiliate-links.js';
+import { createHarness } from '../scripts/functions-harness.js';
+
+const GO = 'functions/go/[[path]].js';
+const REDIRECT = 'functions/redirect.html.js';
+
+const LOCAL_LINKS = JSON.parse(fs.readFileSync(new URL('./fixtures/amazon-links/local-links.json', import.meta.url), 'utf8'));
+
+describe('localizedUrl', () => {
+  const leash = LOCAL_LINKS['product/leash'];
+  const localize = country => localizedUrl(leash, 'amazon', country, LOCAL_LINKS._marketplaces);
+
+  test('links an ASIN on the visitor\'s marketplace with its tag', () => {
+    assert.equal(localize('GB'), 'https://www.amazon.co.uk/dp/B07DDK9M6M?tag=outdoorsavann-21');
+    assert.equal(localize('IE'), 'https://www.amazon.co.uk/dp/B07DDK9M6M?tag=outdoorsavann-21');
+  });
+
+  test('uses a full local URL as written', () => {
+    assert.equal(localize('CA'), 'https://www.amazon.ca/dp/B07DDK9M6M?tag=outdoorsavann0c-20');
+  });
+
+  test('falls back to the default link for a marketplace without a tag', () => {
+    assert.equal(localize('DE'), null);
+    assert.equal(localize('AT'), null);
+  });
+
+  test('falls back without a local link or a known country', () => {
+    assert.equal(localize('US'), null);
+    assert.equal(localize('FR'), null);
+    assert.equal(localize(null), null);
+    assert.equal(localizedUrl(leash, 'aliexpress', 'GB', LOCAL_LINKS._marketplaces), null);
+  });
+});
+
+describe('split tests in amazonLinks.json', () => {
+  for (const productKey of ['product/string-toy', 'product/wall-crawler-gecko']) {
+    test(`${productKey} splits 70/30 between amazon and aliexpress`, () => {
+      const arms = getSplitArms(getProductLinks(productKey));
+
+      assert.deepEqual(arms, [{ variant: 'amazon', weight: 70 }, { variant: 'aliexpress', weight: 30 }]);
+      assert.equal(pickArm(arms, 0.69), 'amazon');
+      assert.equal(pickArm(arms, 0.7), 'aliexpress');
+    });
+  }
+});
+
+describe('GET /go/ with a split rule', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = await createHarness();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  function go(headers = {}) {
+    return harness.invoke(GO, {
+      url: '/go/product/string-toy/amazon',
+      params: { path: ['product', 'string-toy', 'amazon'] },
+      headers,
+    });
+  }
+
+  test('assigns an arm, remembers it in a cookie and records it with the click', async () => {
+    const { response } = await go();
+    const links = getProductLinks('product/string-toy');
+
+    const cookie = response.headers.get('Set-Cookie');
+    const [, arm] = cookie.match(/^aff_split_product_string_toy=(amazon|aliexpress);/);
+    assert.equal(response.headers.get('Location'), links[arm]);
+
+    const click = await harness.env.DB.prepare('SELECT variant, arm FROM affiliate_clicks').first();
+    assert.deepEqual(click, { variant: arm, arm });
+  });
+
+  test('keeps a returning visitor on their arm', async () => {
+    const { response } = await go({ Cookie: 'aff_split_product_string_toy=aliexpress' });
+
+    assert.equal(response.headers.get('Location'), getProductLinks('product/string-toy').aliexpress);
+    assert.equal(response.headers.get('Set-Cookie'), null);
+  });
+});
+
+describe('GET /redirect.html', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = await createHarness();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  function redirect(query) {
+    return harness.invoke(REDIRECT, { url: `/redirect.html${query}` });
+  }
+
+  test('resolves a product link with a variant at the edge', async () => {
+    const { response } = await redirect('?product=product/leash&variant=amazon');
+
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get('Location'), getProductLinks('product/leash').amazon);
+  });
+
+  test('sends a product link without a variant to the product page', async () => {
+    const { response } = await redirect('?product=product/leash');
+
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get('Location'), productPageUrl('product/leash'));
+  });
+
+  test('sends unknown products home', async () => {
+    const { response } = await redirect('?product=product/unknown&variant=amazon');
+
+    assert.equal(response.headers.get('Location'), '/');
+  });
+
+  test('serves the static page only for skipredirect and bare requests', async () => {
+    for (const query of ['', '?product=home&skipredirect=true']) {
+      const { text } = await redirect(query);
+      assert.equal(text, 'next()');
+    }
+  });
+});
+
+describe('/amazonLinks.json', () => {
+  test('is not served, although the Functions still resolve links from it', async () => {
+    const harness = await createHarness();
+    try {
+      const { response } = await harness.invoke('functions/amazonLinks.json.js', { url: '/amazonLinks.json' });
+
+      assert.equal(response.status, 404);
+      assert.ok(getProductLinks('product/leash'));
+    } finally {
+      await harness.close();
+    }
+  });
+});
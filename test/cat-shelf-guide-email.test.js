@@ -0,0 +1,225 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+
+import { createUnsubscribeUrl } from '../functions/_lib/suppression.js';
+import { createHarness } from '../scripts/functions-harness.js';
+
+const ENDPOINT = 'functions/api/cat-shelf-guide-email.js';
+const CONFIRM = 'functions/api/cat-shelf-guide-email/confirm.js';
+
+// Signed page-load token issued a minute ago, set for each test
+let started;
+
+function signup(email, overrides = {}) {
+  return { email, _started: started, ...overrides };
+}
+
+describe('POST /api/cat-shelf-guide-email', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = await createHarness();
+    started = await harness.formToken('cat-shelf-guide');
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  test('stores a pending signup and sends the confirmation email', async () => {
+    const { response } = await harness.invoke(ENDPOINT, { method: 'POST', json: signup('cat@example.com') });
+
+    assert.equal(response.status, 202);
+    const row = await harness.env.DB.prepare('SELECT status, confirm_nonce FROM cat_emails WHERE email = ?').bind('cat@example.com').first();
+    assert.equal(row.status, 'pending');
+    assert.ok(row.confirm_nonce);
+
+    assert.equal(harness.ses.emails.length, 1);
+    assert.deepEqual(harness.ses.emails[0].to, ['cat@example.com']);
+    assert.match(harness.ses.emails[0].text, /\/api\/cat-shelf-guide-email\/confirm\?token=/);
+  });
+
+  test('rejects an invalid email with 422', async () => {
+    const { response, json } = await harness.invoke(ENDPOINT, { method: 'POST', json: signup('cat@') });
+
+    assert.equal(response.status, 422);
+    assert.equal(json.fields.email, 'Invalid email address');
+    assert.equal(harness.ses.requests.length, 0);
+  });
+
+  test('rejects malformed JSON with 400', async () => {
+    const { response, json } = await harness.invoke(ENDPOINT, {
+      method: 'POST',
+      body: '{"email":',
+      headers: { 'Content-Type': 'application/json' },
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(json.code, 'invalid_request');
+  });
+
+  test('rejects submissions sent faster than a person could type', async () => {
+    const { response, json } = await harness.invoke(ENDPOINT, {
+      method: 'POST',
+      json: signup('cat@example.com', { _started: await harness.formToken('cat-shelf-guide', 0) }),
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(json.code, 'too_fast');
+  });
+
+  test('does not mail bounced or complained addresses but answers like a real signup', async () => {
+    const { response: signupResponse, text: signupText } = await harness.invoke(ENDPOINT, { method: 'POST', json: signup('new@example.com') });
+    assert.equal(signupResponse.status, 202);
+
+    for (const reason of ['bounce', 'complaint']) {
+      const email = `${reason}@example.com`;
+      await harness.env.DB.prepare('INSERT INTO email_suppressions (email, reason) VALUES (?, ?)').bind(email, reason).run();
+
+      const { response, text } = await harness.invoke(ENDPOINT, { method: 'POST', json: signup(email) });
+
+      // Indistinguishable from a real signup
+      assert.equal(response.status, 202);
+      assert.equal(response.headers.get('Content-Type'), signupResponse.headers.get('Content-Type'));
+      assert.equal(text, signupText);
+    }
+    assert.equal(harness.ses.requests.length, 1);
+  });
+
+  test('sends a confirmation link to an address that unsubscribed before', async () => {
+    await harness.env.DB.prepare("INSERT INTO email_suppressions (email, reason) VALUES (?, 'unsubscribe')").bind('back@example.com').run();
+
+    const { response } = await harness.invoke(ENDPOINT, { method: 'POST', json: signup('back@example.com') });
+
+    assert.equal(response.status, 202);
+    assert.deepEqual(harness.ses.emails.map(email => email.to), [['back@example.com']]);
+    // Still suppressed until the link is confirmed
+    const suppression = await harness.env.DB.prepare('SELECT reason FROM email_suppressions WHERE email = ?').bind('back@example.com').first();
+    assert.equal(suppression.reason, 'unsubscribe');
+  });
+
+  test('keeps the signup when SES fails and leaves the email queued', async () => {
+    harness.ses.failNext(500, '{"message":"Internal failure"}');
+
+    const { response } = await harness.invoke(ENDPOINT, { method: 'POST', json: signup('cat@example.com') });
+
+    assert.equal(response.status, 202);
+    const outbox = await harness.env.DB.prepare('SELECT status, attempts FROM email_outbox').first();
+    assert.equal(outbox.status, 'pending');
+    assert.equal(outbox.attempts, 1);
+  });
+
+  test('rate limits repeated signups for the same address', async () => {
+    for (let i = 0; i < 3; i++) {
+      const { response } = await harness.invoke(ENDPOINT, { method: 'POST', json: signup('cat@example.com') });
+      assert.equal(response.status, 202);
+    }
+
+    const { response, json } = await harness.invoke(ENDPOINT, { method: 'POST', json: signup('cat@example.com') });
+    assert.equal(response.status, 429);
+    assert.equal(json.code, 'rate_limited');
+    assert.ok(Number(response.headers.get('Retry-After')) > 0);
+  });
+});
+
+describe('/api/cat-shelf-guide-email/confirm', () => {
+  let harness;
+  let confirmUrl;
+
+  beforeEach(async () => {
+    harness = await createHarness();
+    started = await harness.formToken('cat-shelf-guide');
+    await harness.invoke(ENDPOINT, { method: 'POST', json: signup('cat@example.com') });
+    confirmUrl = new URL(harness.ses.emails[0].text.match(/https?:\/\/\S+\/confirm\?token=\S+/)[0]);
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  function status() {
+    return harness.env.DB.prepare('SELECT status FROM cat_emails WHERE email = ?').bind('cat@example.com').first('status');
+  }
+
+  test('GET shows a confirm button without consuming the link', async () => {
+    const { response, text } = await harness.invoke(CONFIRM, { url: confirmUrl.pathname + confirmUrl.search });
+
+    assert.equal(response.status, 200);
+    assert.match(text, /<form method="POST" action="\/api\/cat-shelf-guide-email\/confirm\?token=[^"]+"><button type="submit">Confirm<\/button>/);
+    assert.equal(await status(), 'pending');
+    assert.equal(harness.ses.emails.length, 1);
+  });
+
+  test('POST confirms the signup and sends the guide once', async () => {
+    const first = await harness.invoke(CONFIRM, { method: 'POST', url: confirmUrl.pathname + confirmUrl.search });
+
+    assert.equal(first.response.status, 200);
+    assert.match(first.text, /You&#39;re confirmed!/);
+    assert.equal(await status(), 'confirmed');
+    assert.equal(harness.ses.emails.length, 2);
+    assert.match(harness.ses.emails[1].text, /\/api\/guide-download\?token=/);
+
+    const second = await harness.invoke(CONFIRM, { method: 'POST', url: confirmUrl.pathname + confirmUrl.search });
+    assert.match(second.text, /already confirmed/);
+    assert.equal(harness.ses.emails.length, 2);
+  });
+
+  test('a confirmed re-signup lifts an unsubscribe suppression', async () => {
+    await harness.invoke(CONFIRM, { method: 'POST', url: confirmUrl.pathname + confirmUrl.search });
+    await harness.invoke('functions/api/unsubscribe.js', {
+      method: 'POST',
+      url: harness.ses.emails[1].text.match(/\/api\/unsubscribe\?token=\S+/)[0],
+    });
+    assert.equal(await status(), 'unsubscribed');
+
+    const { response } = await harness.invoke(ENDPOINT, { method: 'POST', json: signup('cat@example.com') });
+    assert.equal(response.status, 202);
+    assert.equal(harness.ses.emails.length, 3);
+    const resignupUrl = new URL(harness.ses.emails[2].text.match(/https?:\/\/\S+\/confirm\?token=\S+/)[0]);
+
+    await harness.invoke(CONFIRM, { method: 'POST', url: resignupUrl.pathname + resignupUrl.search });
+
+    assert.equal(await status(), 'confirmed');
+    const suppression = await harness.env.DB.prepare('SELECT reason FROM email_suppressions WHERE email = ?').bind('cat@example.com').first();
+    assert.equal(suppression, null);
+    assert.equal(harness.ses.emails.length, 4);
+    assert.match(harness.ses.emails[3].text, /\/api\/guide-download\?token=/);
+  });
+
+  test('unsubscribing never downgrades a bounce, so a re-signup cannot lift it', async () => {
+    await harness.invoke(CONFIRM, { method: 'POST', url: confirmUrl.pathname + confirmUrl.search });
+    await harness.env.DB.prepare("INSERT INTO email_suppressions (email, reason, detail) VALUES ('cat@example.com', 'bounce', '550 user unknown')").run();
+    await harness.env.DB.prepare("UPDATE cat_emails SET status = 'bounced'").run();
+
+    await harness.invoke('functions/api/unsubscribe.js', {
+      method: 'POST',
+      url: harness.ses.emails[1].text.match(/\/api\/unsubscribe\?token=\S+/)[0],
+    });
+    await harness.invoke(ENDPOINT, { method: 'POST', json: signup('cat@example.com') });
+
+    assert.equal(await status(), 'bounced');
+    const suppression = await harness.env.DB.prepare('SELECT reason, detail FROM email_suppressions WHERE email = ?').bind('cat@example.com').first();
+    assert.deepEqual(suppression, { reason: 'bounce', detail: '550 user unknown' });
+    assert.equal(harness.ses.emails.length, 2);
+  });
+
+  test('unsubscribing matches the subscription regardless of case', async () => {
+    await harness.env.DB.prepare("INSERT INTO cat_emails (email, status) VALUES ('Mixed.Case@Example.com', 'confirmed')").run();
+    const unsubscribeUrl = new URL(await createUnsubscribeUrl(harness.env, 'https://example.test', 'mixed.case@example.com'));
+
+    await harness.invoke('functions/api/unsubscribe.js', { method: 'POST', url: unsubscribeUrl.pathname + unsubscribeUrl.search });
+
+    const row = await harness.env.DB.prepare("SELECT status FROM cat_emails WHERE email = 'Mixed.Case@Example.com'").first();
+    assert.equal(row.status, 'unsubscribed');
+  });
+
+  test('rejects a tampered token on GET and POST', async () => {
+    const url = confirmUrl.pathname + confirmUrl.search.replace(/.$/, c => (c === 'A' ? 'B' : 'A'));
+
+    for (const method of ['GET', 'POST']) {
+      const { response } = await harness.invoke(CONFIRM, { method, url });
+      assert.equal(response.status, 400);
+    }
+    assert.equal(await status(), 'pending');
+  });
+});
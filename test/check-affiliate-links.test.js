@@ -0,0 +1,230 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+
+import { checkLinks, checkUrl } from '../scripts/check-affiliate-links.js';
+
+const SCRIPT = fileURLToPath(new URL('../scripts/check-affiliate-links.js', import.meta.url));
+
+// ============================================================================
+// Mock retailer server
+// ============================================================================
+
+const HTML = { 'Content-Type': 'text/html; charset=utf-8' };
+
+// Routes by path; "X-Original-Host" carries the host the checker asked for
+const ROUTES = {
+  '/dp/B0OK': (req, res) => res.writeHead(200, HTML).end('<h1>String Cat Toy</h1>'),
+  '/dp/B0DHZZSPMB': (req, res) => res.writeHead(200, HTML).end('<h1>String Cat Toy</h1>'),
+  '/gone': (req, res) => res.writeHead(410, HTML).end('Gone'),
+  '/missing': (req, res) => res.writeHead(404, HTML).end('Not found'),
+  '/dp/B0DOG': (req, res) => res.writeHead(200, HTML).end('<img src="https://images-na.ssl-images-amazon.com/images/G/01/error/dogsofamazon/1.jpg">'),
+  '/short/delisted': (req, res) => res.writeHead(301, { Location: 'https://www.amazon.com/dp/B0DELISTED?tag=outdoorsavann-20' }).end(),
+  '/dp/B0DELISTED': (req, res) => res.writeHead(302, { Location: '/s?k=string+cat+toy&tag=outdoorsavann-20' }).end(),
+  '/s': (req, res) => res.writeHead(200, HTML).end('<h1>Results</h1>'),
+  '/short/ok': (req, res) => res.writeHead(301, { Location: 'https://www.amazon.com/dp/B0OK?tag=outdoorsavann-20' }).end(),
+  '/throttled': (req, res) => res.writeHead(429, HTML).end('Too many requests'),
+  '/slow': () => {
+    // Never answers; the checker's timeout has to give up
+  },
+};
+
+let server;
+let origin;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const route = ROUTES[new URL(req.url, 'http://mock').pathname];
+    if (route) route(req, res);
+    else res.writeHead(404, HTML).end('Not found');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+// Send every request (amazon.com included) to the mock server, keeping the path and query
+function fetchImpl(url, init) {
+  const target = new URL(url);
+  return fetch(`${origin}${target.pathname}${target.search}`, { ...init, headers: { ...init.headers, 'X-Original-Host': target.host } });
+}
+
+// ============================================================================
+// checkUrl
+// ============================================================================
+
+describe('checkUrl', () => {
+  test('accepts a tagged Amazon page reached through a short link', async () => {
+    const result = await checkUrl('https://amzn.to/short/ok', { fetchImpl });
+
+    assert.deepEqual(result, {
+      status: 'ok',
+      httpStatus: 200,
+      finalUrl: 'https://www.amazon.com/dp/B0OK?tag=outdoorsavann-20',
+      redirects: 1,
+      problems: [],
+    });
+  });
+
+  test('reports 404 and 410 as broken', async () => {
+    for (const [pathname, status] of [['/missing', 404], ['/gone', 410]]) {
+      const result = await checkUrl(`https://www.example.com${pathname}`, { fetchImpl });
+
+      assert.equal(result.status, 'broken');
+      assert.deepEqual(result.problems, [`Page not found (${status})`]);
+    }
+  });
+
+  test('reports Amazon\'s dog page as broken even though it answers 200', async () => {
+    const result = await checkUrl('https://www.amazon.com/dp/B0DOG?tag=outdoorsavann-20', { fetchImpl });
+
+    assert.equal(result.status, 'broken');
+    assert.deepEqual(result.problems, ['Page not found (200)']);
+  });
+
+  test('reports a redirect chain ending on a search page as broken', async () => {
+    const result = await checkUrl('https://amzn.to/short/delisted', { fetchImpl });
+
+    assert.equal(result.status, 'broken');
+    assert.equal(result.redirects, 2);
+    assert.equal(result.finalUrl, 'https://www.amazon.com/s?k=string+cat+toy&tag=outdoorsavann-20');
+    assert.deepEqual(result.problems, ['Redirects to a search page; the product may be delisted']);
+  });
+
+  test('reports a missing or wrong associate tag as broken', async () => {
+    const missing = await checkUrl('https://www.amazon.com/dp/B0OK', { fetchImpl });
+    const wrong = await checkUrl('https://www.amazon.com/dp/B0OK?tag=someone-else-20', { fetchImpl });
+    const local = await checkUrl('https://www.amazon.co.uk/dp/B0OK?tag=outdoorsavann-21', { fetchImpl, expectedTag: 'outdoorsavann-21' });
+
+    assert.deepEqual(missing.problems, ['Missing associate tag outdoorsavann-20']);
+    assert.deepEqual(wrong.problems, ['Wrong associate tag "someone-else-20" (expected outdoorsavann-20)']);
+    assert.equal(local.status, 'ok');
+  });
+
+  test('turns throttling and timeouts into warnings', async () => {
+    const throttled = await checkUrl('https://www.example.com/throttled', { fetchImpl });
+    const slow = await checkUrl('https://www.example.com/slow', { fetchImpl, timeoutMs: 200 });
+
+    assert.equal(throttled.status, 'warning');
+    assert.deepEqual(throttled.problems, ['Could not verify: HTTP 429']);
+    assert.equal(slow.status, 'warning');
+    assert.equal(slow.httpStatus, null);
+    assert.match(slow.problems[0], /^Request failed: .*(timeout|aborted)/i);
+  });
+});
+
+// ============================================================================
+// checkLinks
+// ============================================================================
+
+describe('checkLinks', () => {
+  test('checks web and local links, skipping deep links and settings', async () => {
+    const links = {
+      _marketplaces: { 'co.uk': { host: 'www.amazon.co.uk', tag: 'outdoorsavann-21', countries: ['GB'] } },
+      'product/string-toy': {
+        amazon: 'https://amzn.to/short/ok',
+        amazon_deeplink_ios: 'com.amazon.mobile.shopping.web://amazon.com/dp/B0OK?tag=outdoorsavann-20',
+        aliexpress: 'https://www.example.com/missing',
+        _local: { amazon: { 'co.uk': 'B0DHZZSPMB' } },
+      },
+      'product/leash': { amazon: 'https://www.example.com/throttled' },
+    };
+
+    const report = await checkLinks(links, { fetchImpl });
+
+    assert.deepEqual(report.summary, { total: 4, ok: 2, broken: 1, warning: 1 });
+    assert.deepEqual(report.results.map(({ productKey, variant, status }) => `${productKey} → ${variant}: ${status}`), [
+      'product/string-toy → amazon: ok',
+      'product/string-toy → aliexpress: broken',
+      'product/leash → amazon: warning',
+      'product/string-toy → amazon (co.uk): ok',
+    ]);
+  });
+
+  test('checks a URL shared by marketplaces with different tags against each tag', async () => {
+    const shared = 'https://www.amazon.co.uk/dp/B0OK?tag=outdoorsavann-21';
+    const links = {
+      _marketplaces: {
+        'co.uk': { host: 'www.amazon.co.uk', tag: 'outdoorsavann-21', countries: ['GB'] },
+        ie: { host: 'www.amazon.co.uk', tag: 'outdoorsavann-22', countries: ['IE'] },
+      },
+      'product/string-toy': {
+        amazon: 'https://amzn.to/short/ok',
+        _local: { amazon: { 'co.uk': shared, ie: shared } },
+      },
+    };
+
+    const report = await checkLinks(links, { fetchImpl });
+
+    const local = report.results.filter(result => result.url === shared);
+    assert.deepEqual(local.map(({ variant, status }) => ({ variant, status })), [
+      { variant: 'amazon (co.uk)', status: 'ok' },
+      { variant: 'amazon (ie)', status: 'broken' },
+    ]);
+  });
+});
+
+// ============================================================================
+// Command line
+// ============================================================================
+
+describe('check-affiliate-links command line', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'check-affiliate-links-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Runs the script asynchronously, so the mock server in this process can answer it
+  async function run(links, ...args) {
+    const linksPath = path.join(dir, 'links.json');
+    fs.writeFileSync(linksPath, JSON.stringify(links));
+    try {
+      const { stdout } = await promisify(execFile)(process.execPath, ['--experimental-default-type=module', SCRIPT, '--links', linksPath, ...args], { timeout: 30000 });
+      return { code: 0, stdout };
+    } catch (err) {
+      if (typeof err.code !== 'number') throw err;
+      return { code: err.code, stdout: err.stdout };
+    }
+  }
+
+  test('exits with 1 when a link is broken and writes the reports', async () => {
+    const jsonPath = path.join(dir, 'report.json');
+    const markdownPath = path.join(dir, 'report.md');
+
+    const { code, stdout } = await run({ 'product/leash': { amazon: `${origin}/gone` } }, '--json', jsonPath, '--markdown', markdownPath);
+
+    assert.equal(code, 1);
+    assert.match(stdout, /❌ broken \| product\/leash \| amazon/);
+    assert.equal(JSON.parse(fs.readFileSync(jsonPath, 'utf8')).summary.broken, 1);
+    assert.equal(fs.readFileSync(markdownPath, 'utf8'), stdout.replace(/\n$/, ''));
+  });
+
+  test('passes with warnings unless --strict is given', async () => {
+    const links = { 'product/leash': { amazon: `${origin}/throttled` } };
+
+    assert.equal((await run(links)).code, 0);
+    assert.equal((await run(links, '--strict')).code, 1);
+  });
+
+  test('passes when every link is healthy', async () => {
+    const { code, stdout } = await run({ 'product/leash': { amazon: `${origin}/dp/B0OK` } }, '--strict');
+
+    assert.equal(code, 0);
+    assert.match(stdout, /All links are healthy\./);
+  });
+});
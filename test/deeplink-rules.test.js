@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { describe, test } from 'node:test';
+
+import { deriveDeepLinks } from '../scripts/deeplink-rules.js';
+import { fillDeepLinks } from '../scripts/fill-deeplinks.js';
+
+const LINKS = JSON.parse(fs.readFileSync(new URL('../amazonLinks.json', import.meta.url), 'utf8'));
+
+// Hand-written entries the rules can't reproduce from the web URL alone
+const HAND_WRITTEN_EXCEPTIONS = {
+  // Opens the profile by its numeric id, which the web URL doesn't contain
+  'home → extralink1': ['android'],
+  // The iOS link opens the @outdoorsavannah_us account
+  'about → extralink1': ['ios'],
+  // Both deep links open extralink1's video instead (likely a copy-paste slip in amazonLinks.json)
+  'about → extralink2': ['ios', 'android'],
+};
+
+// Where the short links in amazonLinks.json redirect to, as the retailers send them
+const RESOLVED = {
+  'https://amzn.to/4h9gGjb': 'https://www.amazon.com/dp/B0DHZZSPMB?tag=outdoorsavann-20&linkCode=ll1&linkId=0b1c2d3e4f&ref_=as_li_ss_tl',
+  'https://amzn.to/3sOCsoW': 'https://www.amazon.com/Petsfit-Backpack-Carrier-Upgrade-Suitable/dp/B0C3LX7P2M?tag=outdoorsavann-20&th=1',
+  'https://amzn.to/480dHWz': 'https://www.amazon.com/shop/rajaanddavid/list/D5GVMCFY9TDS?ref_=cm_sw_r_cp_ud_aipsflist&tag=outdoorsavann-20',
+  'https://amzn.to/4nSTOrY': 'https://www.amazon.com/dp/B0CSFPL6JN?tag=outdoorsavann-20&psc=1',
+  'https://s.click.aliexpress.com/e/_olkXEyK': 'https://www.aliexpress.com/item/3256806974262141.html?spm=a2g0o.detail&aff_fsk=_omjWMxN&gatewayAdapt=glo2usa',
+  'https://s.click.aliexpress.com/e/_omjWMxN': 'https://www.aliexpress.us/item/3256807894204108.html?aff_fsk=_omjWMxN',
+};
+
+// Every variant of amazonLinks.json as { label, productKey, variant, web, ios, android }
+function entries() {
+  const result = [];
+  for (const [productKey, variants] of Object.entries(LINKS)) {
+    if (productKey.startsWith('_')) continue;
+    for (const [variant, web] of Object.entries(variants)) {
+      if (variant.startsWith('_') || variant.includes('_deeplink_')) continue;
+      const ios = variants[`${variant}_deeplink_ios`];
+      const android = variants[`${variant}_deeplink_android`];
+      result.push({ label: `${productKey} → ${variant}`, productKey, variant, web, ios, android });
+    }
+  }
+  return result;
+}
+
+function assertMatchesHandWritten({ label, ios, android }, derived) {
+  const exceptions = HAND_WRITTEN_EXCEPTIONS[label] || [];
+  if (!exceptions.includes('ios')) assert.equal(derived.ios, ios, `${label} (iOS)`);
+  if (!exceptions.includes('android')) assert.equal(derived.android, android, `${label} (Android)`);
+}
+
+describe('deriveDeepLinks', () => {
+  const direct = entries().filter(entry => !RESOLVED[entry.web] && !/^https:\/\/(amzn\.to|s\.click\.aliexpress\.com)\//.test(entry.web));
+
+  for (const entry of direct) {
+    test(`reproduces the hand-written deep links of ${entry.label}`, () => {
+      assertMatchesHandWritten(entry, deriveDeepLinks(entry.web));
+    });
+  }
+
+  for (const entry of entries().filter(e => RESOLVED[e.web])) {
+    test(`reproduces the hand-written deep links of ${entry.label} from its resolved short link`, () => {
+      assertMatchesHandWritten(entry, deriveDeepLinks(RESOLVED[entry.web]));
+    });
+  }
+
+  test('names the rule that matched', () => {
+    assert.deepEqual(
+      ['https://www.amazon.com/dp/B0DHZZSPMB', 'https://aliexpress.com/item/1.html', 'https://youtu.be/p7E8tCFFeWE', 'https://discord.gg/PK8cagfaUz']
+        .map(url => deriveDeepLinks(url).rule),
+      ['amazon', 'aliexpress', 'youtube', 'discord']
+    );
+  });
+
+  test('returns null for URLs no rule supports', () => {
+    for (const url of [
+      'https://amzn.to/4h9gGjb',
+      'https://s.click.aliexpress.com/e/_olkXEyK',
+      'https://www.amazon.co.uk/dp/B0DHZZSPMB',
+      'https://www.aliexpress.com/store/1101234567',
+      'https://www.example.com/',
+      'not a url',
+    ]) {
+      assert.equal(deriveDeepLinks(url), null, url);
+    }
+  });
+});
+
+describe('fillDeepLinks', () => {
+  // The hand-written entries with their deep links removed
+  function withoutDeepLinks(productKey) {
+    return Object.fromEntries(Object.entries(LINKS[productKey]).filter(([key]) => !key.includes('_deeplink_')));
+  }
+
+  test('fills Amazon and AliExpress deep links from resolved short links', async () => {
+    // Short links redirect once; the retailer pages answer 200
+    const fetchImpl = async url => (RESOLVED[url]
+      ? new Response(null, { status: 301, headers: { Location: RESOLVED[url] } })
+      : new Response(null, { status: 200 }));
+
+    const { links, skipped } = await fillDeepLinks(
+      { 'product/string-toy': withoutDeepLinks('product/string-toy'), 'product/wall-crawler-gecko': withoutDeepLinks('product/wall-crawler-gecko') },
+      { resolve: true, fetchImpl }
+    );
+
+    assert.deepEqual(skipped, []);
+    assert.deepEqual(links['product/string-toy'], LINKS['product/string-toy']);
+    assert.deepEqual(links['product/wall-crawler-gecko'], LINKS['product/wall-crawler-gecko']);
+  });
+
+  test('skips short links without --resolve and URLs no rule supports', async () => {
+    const { links, added, skipped } = await fillDeepLinks({
+      'product/leash': { amazon: 'https://amzn.to/3N3Z2Az' },
+      home: { extralink1: 'https://www.example.com/cats' },
+    });
+
+    assert.deepEqual(added, []);
+    assert.deepEqual(skipped, [
+      { productKey: 'product/leash', variant: 'amazon', reason: 'short link https://amzn.to/3N3Z2Az (use --resolve)' },
+      { productKey: 'home', variant: 'extralink1', reason: 'no rule for https://www.example.com/cats' },
+    ]);
+    assert.deepEqual(links['product/leash'], { amazon: 'https://amzn.to/3N3Z2Az' });
+  });
+
+  test('never replaces an existing deep link', async () => {
+    const { links, added } = await fillDeepLinks({ home: LINKS.home });
+
+    assert.deepEqual(added, []);
+    assert.deepEqual(links.home, LINKS.home);
+  });
+});
@@ -0,0 +1,29 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const SCRIPT = fileURLToPath(new URL('../scripts/fill-deeplinks.js', import.meta.url));
+
+function run(...args) {
+  return spawnSync(process.execPath, ['--experimental-default-type=module', SCRIPT, ...args], { encoding: 'utf8', timeout: 30000 });
+}
+
+describe('fill-deeplinks command line', () => {
+  test('--help prints the usage without filling anything', () => {
+    const { status, stdout } = run('--help');
+
+    assert.equal(status, 0);
+    assert.match(stdout, /^Usage: node scripts\/fill-deeplinks\.js/);
+    assert.doesNotMatch(stdout, /deep link/);
+  });
+
+  test('rejects unknown flags and extra paths', () => {
+    for (const args of [['--dry-runn'], ['--dry-run', 'a.json', 'b.json']]) {
+      const { status, stderr } = run(...args);
+
+      assert.equal(status, 1);
+      assert.match(stderr, /Unknown argument: (--dry-runn|b\.json)/);
+    }
+  });
+});
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+import { generateAffiliatePreviews, loadSiteConfig } from '../scripts/generate-affilliate-links.js';
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'affiliate-site');
+
+describe('generateAffiliatePreviews', () => {
+  test('plans a preview per listed page, product directory and amzn variant without writing', async () => {
+    const outDir = path.join(os.tmpdir(), `affiliate-previews-${process.pid}`);
+    const config = loadSiteConfig(path.join(FIXTURE, 'site.json'));
+
+    const result = await generateAffiliatePreviews({ root: FIXTURE, outDir, config, dryRun: true });
+
+    assert.equal(result.dryRun, true);
+    assert.deepEqual(
+      result.previews.map(({ productKey, variant, file, title, status }) => ({ productKey, variant, file, title, status })),
+      [
+        { productKey: 'home', variant: null, file: 'home.html', title: 'Home - Example Cats', status: 'added' },
+        { productKey: 'product/string-toy', variant: null, file: 'string-toy.html', title: 'Tom & Jerry\'s "String" Toy', status: 'added' },
+        { productKey: 'amzn', variant: 'string-toy', file: 'amzn/string-toy.html', title: 'String Cat Toy - Amazon Affiliate Link', status: 'added' },
+      ]
+    );
+    assert.deepEqual(result.kit.map(link => link.shortUrl), [
+      'https://www.example.com/go/product/string-toy/amazon',
+      'https://www.example.com/go/product/string-toy/aliexpress',
+      'https://www.example.com/go/amzn/string-toy',
+    ]);
+    assert.deepEqual(result.removed, []);
+    assert.equal(fs.existsSync(outDir), false);
+  });
+
+  test('reports stale previews that a real run would remove', async () => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'affiliate-previews-'));
+    try {
+      fs.writeFileSync(path.join(outDir, 'manifest.json'), JSON.stringify({ files: { 'old-product.html': { productKey: 'product/old-product', hash: 'x' } } }));
+      fs.writeFileSync(path.join(outDir, 'old-product.html'), '<!DOCTYPE html>');
+      const config = loadSiteConfig(path.join(FIXTURE, 'site.json'));
+
+      const result = await generateAffiliatePreviews({ root: FIXTURE, outDir, config, dryRun: true });
+
+      assert.deepEqual(result.removed, ['old-product.html']);
+      assert.ok(fs.existsSync(path.join(outDir, 'old-product.html')));
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+
+  test('only removes files recorded in the previous manifest from a shared output dir', async () => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'affiliate-previews-'));
+    const unrelated = ['about.html', 'team-og.jpg', 'amzn/notes.html', 'kit/logo.png', 'kit/logo.svg'];
+    try {
+      for (const file of [...unrelated, 'old-product.html', 'old-product-og.jpg']) {
+        fs.mkdirSync(path.dirname(path.join(outDir, file)), { recursive: true });
+        fs.writeFileSync(path.join(outDir, file), 'kept');
+      }
+      fs.writeFileSync(path.join(outDir, 'manifest.json'), JSON.stringify({
+        files: { 'old-product.html': { productKey: 'product/old-product', hash: 'x', card: 'old-product-og.jpg', cardHash: 'y' } },
+      }));
+      const config = loadSiteConfig(path.join(FIXTURE, 'site.json'));
+
+      const first = await generateAffiliatePreviews({ root: FIXTURE, outDir, config });
+      const second = await generateAffiliatePreviews({ root: FIXTURE, outDir, config });
+
+      assert.deepEqual(first.removed, ['old-product-og.jpg', 'old-product.html']);
+      assert.deepEqual(second.removed, []);
+      for (const file of unrelated) {
+        assert.equal(fs.readFileSync(path.join(outDir, file), 'utf8'), 'kept', file);
+      }
+      assert.ok(fs.existsSync(path.join(outDir, 'string-toy.html')));
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+
+  test('writes a QR code in SVG and PNG for every kit link and lists them in the kit index', async () => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'affiliate-previews-'));
+    try {
+      const config = loadSiteConfig(path.join(FIXTURE, 'site.json'));
+
+      const { kit } = await generateAffiliatePreviews({ root: FIXTURE, outDir, config });
+
+      assert.equal(kit.length, 3);
+      const index = fs.readFileSync(path.join(outDir, 'kit', 'index.html'), 'utf8');
+      for (const { shortUrl, svg, png } of kit) {
+        assert.match(fs.readFileSync(path.join(outDir, svg), 'utf8'), /^<svg [^>]*xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+        assert.deepEqual([...fs.readFileSync(path.join(outDir, png)).subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+        assert.ok(index.includes(`<img src="${path.basename(svg)}"`), `index shows ${svg}`);
+        assert.ok(index.includes(`<a href="${path.basename(svg)}" download>`), `index links ${svg}`);
+        assert.ok(index.includes(`<a href="${path.basename(png)}" download>`), `index links ${png}`);
+        assert.ok(index.includes(shortUrl), `index lists ${shortUrl}`);
+      }
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+});
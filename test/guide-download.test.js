@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+
+import { createDownloadUrl } from '../functions/_lib/cat-shelf-guide.js';
+import { createHarness } from '../scripts/functions-harness.js';
+
+const ENDPOINT = 'functions/api/guide-download.js';
+const GUIDE = new TextEncoder().encode('%PDF-1.7 cat shelf guide');
+const ETAG = '"guide-v2"';
+
+describe('GET /api/guide-download', () => {
+  let harness;
+  let downloadUrl;
+
+  beforeEach(async () => {
+    // The local-development asset path stands in for R2
+    harness = await createHarness({
+      env: {
+        GUIDE_LOCAL_PATH: '/downloads/cat-shelf-guide.pdf',
+        ASSETS: { fetch: async () => new Response(GUIDE, { headers: { ETag: ETAG } }) },
+      },
+    });
+    await harness.env.DB.prepare("INSERT INTO cat_emails (email, status) VALUES ('cat@example.com', 'confirmed')").run();
+    const url = new URL(await createDownloadUrl(harness.env, 'https://example.test', 'cat@example.com'));
+    downloadUrl = url.pathname + url.search;
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  async function download(headers = {}) {
+    const { response } = await harness.invoke(ENDPOINT, { url: downloadUrl, headers });
+    return { response, body: new Uint8Array(await response.arrayBuffer()) };
+  }
+
+  function downloadCount() {
+    return harness.env.DB.prepare("SELECT download_count FROM cat_emails WHERE email = 'cat@example.com'").first('download_count');
+  }
+
+  test('serves the whole guide without a Range header', async () => {
+    const { response, body } = await download();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Accept-Ranges'), 'bytes');
+    assert.equal(response.headers.get('Content-Length'), String(GUIDE.length));
+    assert.equal(response.headers.get('ETag'), ETAG);
+    assert.deepEqual(body, GUIDE);
+    assert.equal(await downloadCount(), 1);
+  });
+
+  test('answers a byte range with 206 and Content-Range', async () => {
+    const { response, body } = await download({ Range: 'bytes=5-9' });
+
+    assert.equal(response.status, 206);
+    assert.equal(response.headers.get('Content-Range'), `bytes 5-9/${GUIDE.length}`);
+    assert.equal(response.headers.get('Content-Length'), '5');
+    assert.deepEqual(body, GUIDE.slice(5, 10));
+    // A resumed chunk is not another download
+    assert.equal(await downloadCount(), 0);
+  });
+
+  test('clamps an open-ended or oversized range to the end of the file', async () => {
+    for (const range of ['bytes=20-', 'bytes=20-1000']) {
+      const { response, body } = await download({ Range: range });
+
+      assert.equal(response.status, 206);
+      assert.equal(response.headers.get('Content-Range'), `bytes 20-${GUIDE.length - 1}/${GUIDE.length}`);
+      assert.deepEqual(body, GUIDE.slice(20));
+    }
+  });
+
+  test('serves a suffix range from the end of the file', async () => {
+    const { response, body } = await download({ Range: 'bytes=-4' });
+
+    assert.equal(response.status, 206);
+    assert.equal(response.headers.get('Content-Range'), `bytes ${GUIDE.length - 4}-${GUIDE.length - 1}/${GUIDE.length}`);
+    assert.deepEqual(body, GUIDE.slice(-4));
+  });
+
+  test('answers an unsatisfiable range with 416 and bytes */size', async () => {
+    for (const range of [`bytes=${GUIDE.length}-`, 'bytes=9-5', 'bytes=-0']) {
+      const { response } = await download({ Range: range });
+
+      assert.equal(response.status, 416);
+      assert.equal(response.headers.get('Content-Range'), `bytes */${GUIDE.length}`);
+    }
+  });
+
+  test('serves the whole file for multiple ranges', async () => {
+    const { response, body } = await download({ Range: 'bytes=0-1,5-6' });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body, GUIDE);
+  });
+
+  test('honours the range only while If-Range matches the current ETag', async () => {
+    const current = await download({ Range: 'bytes=5-9', 'If-Range': ETAG });
+    assert.equal(current.response.status, 206);
+
+    const stale = await download({ Range: 'bytes=5-9', 'If-Range': '"guide-v1"' });
+    assert.equal(stale.response.status, 200);
+    assert.equal(stale.response.headers.get('Content-Range'), null);
+    assert.deepEqual(stale.body, GUIDE);
+  });
+
+  test('refuses subscriptions that are no longer confirmed', async () => {
+    await harness.env.DB.prepare("UPDATE cat_emails SET status = 'unsubscribed'").run();
+
+    const { response } = await download({ Range: 'bytes=0-4' });
+
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import vm from 'node:vm';
+import { describe, test } from 'node:test';
+
+import { decodeEntities, escapeAttribute, escapeText, jsString, parseMetaTags, readOpenGraph } from '../scripts/html-utils.js';
+
+const TRICKY_TITLES = [
+  'Raja & David\'s "Best" Cat Shelf',
+  'Shelves </script><script>alert(1)</script>',
+  'Tom & Jerry\'s <!-- not a comment --> toy',
+  'It’s a \u2028line\u2029separator',
+];
+
+describe('readOpenGraph', () => {
+  test('decodes entities and keeps the other quote character', () => {
+    const html = `<head>
+      <meta property="og:title" content="Raja &amp; David&#39;s &quot;Best&quot; Cat Shelf">
+      <meta property='og:description' content='Say "hi" &amp; wave'>
+      <meta property=og:url content=https://www.outdoorsavannah.com/?a=1&amp;b=2>
+    </head>`;
+
+    assert.deepEqual(readOpenGraph(html), {
+      title: 'Raja & David\'s "Best" Cat Shelf',
+      image: null,
+      description: 'Say "hi" & wave',
+      url: 'https://www.outdoorsavannah.com/?a=1&b=2',
+    });
+  });
+
+  test('ignores meta tags inside scripts and comments', () => {
+    const html = `<script>const s = '<meta property="og:title" content="From script">';</script>
+      <!-- <meta property="og:title" content="From comment"> -->
+      <meta property="og:title" content="Real &lt;/script&gt; title">`;
+
+    assert.equal(readOpenGraph(html).title, 'Real </script> title');
+  });
+
+  test('the first duplicate tag wins', () => {
+    const tags = parseMetaTags('<meta property="og:image" content="a.jpg"><meta property="og:image" content="b.jpg">');
+
+    assert.equal(tags.length, 2);
+    assert.equal(readOpenGraph('<meta property="og:image" content="a.jpg"><meta property="og:image" content="b.jpg">').image, 'a.jpg');
+  });
+});
+
+describe('escapeAttribute', () => {
+  for (const title of TRICKY_TITLES) {
+    test(`round-trips ${JSON.stringify(title)} through a quoted attribute`, () => {
+      for (const quote of ['"', '\'']) {
+        const html = `<meta property="og:title" content=${quote}${escapeAttribute(title)}${quote}>`;
+        assert.equal(readOpenGraph(html).title, title);
+      }
+    });
+  }
+
+  test('escapes every character that could end the attribute or open a tag', () => {
+    assert.equal(escapeAttribute('<a href="x">&\'</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&#39;&lt;/a&gt;');
+    assert.equal(escapeAttribute(null), '');
+  });
+
+  test('escapeText leaves quotes alone', () => {
+    assert.equal(escapeText('"A" & <B>'), '"A" &amp; &lt;B&gt;');
+    assert.equal(decodeEntities(escapeText('"A" & <B>')), '"A" & <B>');
+  });
+});
+
+describe('jsString', () => {
+  for (const title of TRICKY_TITLES) {
+    test(`${JSON.stringify(title)} evaluates back to itself inside an inline script`, () => {
+      const script = `var title = ${jsString(title)};`;
+
+      assert.doesNotMatch(script, /<\/script/i);
+      assert.doesNotMatch(script, /<!--/);
+      assert.doesNotMatch(script, /[\u2028\u2029]/);
+      assert.equal(vm.runInNewContext(`${script} title`), title);
+    });
+  }
+
+  test('the script element parsed from a page ends where the generator ended it', () => {
+    const page = `<script>var t = ${jsString(TRICKY_TITLES[1])};</script><meta property="og:title" content="after">`;
+
+    assert.equal(page.indexOf('</script>'), page.lastIndexOf('</script>'));
+    assert.equal(readOpenGraph(page).title, 'after');
+  });
+});
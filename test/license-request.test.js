@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+
+import { createHarness } from '../scripts/functions-harness.js';
+
+const ENDPOINT = 'functions/api/license-request.js';
+
+// Signed page-load token issued a minute ago, set for each test
+let started;
+
+function validForm(overrides = {}) {
+  return {
+    company: 'ACME Media',
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    typeOfUse: 'editorial',
+    works: 'The cat shelf video from April',
+    duration: '1-year',
+    fee: '$1,250',
+    _started: started,
+    ...overrides,
+  };
+}
+
+describe('POST /api/license-request', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = await createHarness();
+    started = await harness.formToken('license-request');
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  test('stores a valid request and emails both parties', async () => {
+    const { response, json } = await harness.invoke(ENDPOINT, { method: 'POST', form: validForm() });
+
+    assert.equal(response.status, 202);
+    assert.match(json.reference, /^LR-\d{8}-[2-9A-HJ-NP-Z]{6}$/);
+
+    const row = await harness.env.DB.prepare('SELECT * FROM license_requests WHERE reference = ?').bind(json.reference).first();
+    assert.equal(row.company, 'ACME Media');
+    assert.equal(row.fee, '1250.00');
+
+    assert.equal(harness.ses.emails.length, 2);
+    assert.ok(harness.ses.emails.some(email => email.to.includes('jane@example.com')));
+  });
+
+  test('rejects missing and invalid fields with 422', async () => {
+    const { response, json } = await harness.invoke(ENDPOINT, {
+      method: 'POST',
+      form: validForm({ company: '', email: 'not-an-email', typeOfUse: 'piracy' }),
+    });
+
+    assert.equal(response.status, 422);
+    assert.equal(json.code, 'validation_failed');
+    assert.deepEqual(Object.keys(json.fields).sort(), ['company', 'email', 'typeOfUse']);
+    assert.equal(harness.ses.requests.length, 0);
+  });
+
+  test('rejects a body that is not a form', async () => {
+    const { response, json } = await harness.invoke(ENDPOINT, { method: 'POST', json: { company: 'ACME' } });
+
+    assert.equal(response.status, 400);
+    assert.equal(json.code, 'invalid_request');
+  });
+
+  test('pretends to accept honeypot submissions without storing them', async () => {
+    const { response } = await harness.invoke(ENDPOINT, { method: 'POST', form: validForm({ website: 'http://spam.example' }) });
+
+    assert.equal(response.status, 200);
+    const { count } = await harness.env.DB.prepare('SELECT COUNT(*) AS count FROM license_requests').first();
+    assert.equal(count, 0);
+  });
+
+  test('keeps the request and queues a retry when SES is unavailable', async () => {
+    harness.ses.failNext(503, '{"message":"Service Unavailable"}', 2);
+
+    const { response, json } = await harness.invoke(ENDPOINT, { method: 'POST', form: validForm() });
+
+    assert.equal(response.status, 202);
+    assert.ok(json.reference);
+
+    const { results } = await harness.env.DB.prepare('SELECT status, attempts, last_error FROM email_outbox').all();
+    assert.equal(results.length, 2);
+    for (const row of results) {
+      assert.equal(row.status, 'pending');
+      assert.equal(row.attempts, 1);
+      assert.match(row.last_error, /Service Unavailable/);
+    }
+  });
+
+  test('dead-letters emails SES rejects permanently', async () => {
+    harness.ses.failNext(400, '{"message":"Email address is not verified"}', 2);
+
+    const { response } = await harness.invoke(ENDPOINT, { method: 'POST', form: validForm() });
+
+    assert.equal(response.status, 202);
+    const { results } = await harness.env.DB.prepare('SELECT status FROM email_outbox').all();
+    assert.deepEqual(results.map(row => row.status), ['dead', 'dead']);
+  });
+
+  test('refuses a missing or forged page-load token', async () => {
+    for (const _started of ['', String(Date.now() - 60 * 1000), started.replace(/.$/, c => (c === 'A' ? 'B' : 'A'))]) {
+      const { response, json } = await harness.invoke(ENDPOINT, { method: 'POST', form: validForm({ _started }) });
+      assert.equal(response.status, 400);
+      assert.equal(json.code, 'form_expired');
+    }
+  });
+
+  test('refuses a token issued for another form', async () => {
+    const _started = await harness.formToken('cat-shelf-guide');
+
+    const { json } = await harness.invoke(ENDPOINT, { method: 'POST', form: validForm({ _started }) });
+
+    assert.equal(json.code, 'form_expired');
+  });
+
+  test('refuses tokens older than a day', async () => {
+    const _started = await harness.formToken('license-request', 25 * 60 * 60);
+
+    const { json } = await harness.invoke(ENDPOINT, { method: 'POST', form: validForm({ _started }) });
+
+    assert.equal(json.code, 'form_expired');
+  });
+
+  test('answers 503 without a database', async () => {
+    const noDb = await createHarness({ env: { DB: undefined } });
+    try {
+      const { response, json } = await noDb.invoke(ENDPOINT, { method: 'POST', form: validForm() });
+      assert.equal(response.status, 503);
+      assert.equal(json.code, 'service_unavailable');
+    } finally {
+      await noDb.close();
+    }
+  });
+});
@@ -0,0 +1,146 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+
+import { MAX_ATTEMPTS, backoffSeconds, drainOutbox, enqueueEmail } from '../functions/_lib/outbox.js';
+import { createHarness } from '../scripts/functions-harness.js';
+
+const MESSAGE = { to: 'cat@example.com', subject: 'Your guide', text: 'Hello' };
+
+describe('drainOutbox', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = await createHarness();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  function row(id) {
+    return harness.env.DB.prepare(
+      'SELECT status, attempts, next_attempt_at, last_error, ses_message_id FROM email_outbox WHERE id = ?'
+    ).bind(id).first();
+  }
+
+  // Make a waiting retry due now
+  function makeDue(id) {
+    return harness.env.DB.prepare('UPDATE email_outbox SET next_attempt_at = 0 WHERE id = ?').bind(id).run();
+  }
+
+  test('sends due messages and records the SES message id', async () => {
+    const { id } = await enqueueEmail(harness.env, MESSAGE, 'test');
+
+    assert.deepEqual(await drainOutbox(harness.env), { sent: 1, retry: 0, dead: 0, skipped: 0 });
+
+    const sent = await row(id);
+    assert.equal(sent.status, 'sent');
+    assert.equal(sent.attempts, 1);
+    assert.equal(sent.ses_message_id, 'stub-1');
+    assert.deepEqual(harness.ses.emails.map(email => email.to), [['cat@example.com']]);
+  });
+
+  test('backs off after a transient failure and sends on the next due drain', async () => {
+    const { id } = await enqueueEmail(harness.env, MESSAGE, 'test');
+    harness.ses.failNext(503);
+
+    assert.deepEqual(await drainOutbox(harness.env), { sent: 0, retry: 1, dead: 0, skipped: 0 });
+    const waiting = await row(id);
+    assert.equal(waiting.status, 'pending');
+    assert.equal(waiting.attempts, 1);
+    assert.match(waiting.last_error, /Stub SES failure/);
+    // First retry is a minute away, +/-20%
+    const delay = waiting.next_attempt_at - Math.floor(Date.now() / 1000);
+    assert.ok(delay >= 47 && delay <= 72, `retry in ${delay}s`);
+
+    // Not due yet
+    assert.deepEqual(await drainOutbox(harness.env), { sent: 0, retry: 0, dead: 0, skipped: 0 });
+
+    await makeDue(id);
+    assert.deepEqual(await drainOutbox(harness.env), { sent: 1, retry: 0, dead: 0, skipped: 0 });
+    const sent = await row(id);
+    assert.equal(sent.status, 'sent');
+    assert.equal(sent.attempts, 2);
+    assert.equal(sent.last_error, null);
+  });
+
+  test('retries throttling (429) like a server error', async () => {
+    const { id } = await enqueueEmail(harness.env, MESSAGE, 'test');
+    harness.ses.failNext(429, '{"message":"Maximum sending rate exceeded"}');
+
+    await drainOutbox(harness.env);
+
+    assert.equal((await row(id)).status, 'pending');
+  });
+
+  test('dead-letters a permanent SES 4xx after one attempt', async () => {
+    const { id } = await enqueueEmail(harness.env, MESSAGE, 'test');
+    harness.ses.failNext(400, '{"message":"Email address is not verified"}');
+
+    assert.deepEqual(await drainOutbox(harness.env), { sent: 0, retry: 0, dead: 1, skipped: 0 });
+
+    const dead = await row(id);
+    assert.equal(dead.status, 'dead');
+    assert.equal(dead.attempts, 1);
+    assert.match(dead.last_error, /not verified/);
+
+    await makeDue(id);
+    await drainOutbox(harness.env);
+    assert.equal(harness.ses.requests.length, 1);
+  });
+
+  test(`dead-letters a message after ${MAX_ATTEMPTS} failed attempts`, async () => {
+    const { id } = await enqueueEmail(harness.env, MESSAGE, 'test');
+    harness.ses.failNext(503, undefined, MAX_ATTEMPTS);
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      await makeDue(id);
+      await drainOutbox(harness.env);
+      assert.equal((await row(id)).attempts, attempt);
+    }
+
+    assert.equal((await row(id)).status, 'dead');
+    assert.equal(harness.ses.requests.length, MAX_ATTEMPTS);
+  });
+
+  test('only attempts the given ids, even before they are due', async () => {
+    const first = await enqueueEmail(harness.env, MESSAGE, 'test');
+    const second = await enqueueEmail(harness.env, { ...MESSAGE, to: 'dog@example.com' }, 'test');
+    await harness.env.DB.prepare('UPDATE email_outbox SET next_attempt_at = ?').bind(Math.floor(Date.now() / 1000) + 3600).run();
+
+    await drainOutbox(harness.env, { ids: [second.id] });
+
+    assert.equal((await row(first.id)).status, 'pending');
+    assert.equal((await row(second.id)).status, 'sent');
+  });
+
+  test('recovers rows abandoned mid-send', async () => {
+    const { id } = await enqueueEmail(harness.env, MESSAGE, 'test');
+    await harness.env.DB.prepare(
+      "UPDATE email_outbox SET status = 'sending', updated_at = datetime('now', '-1 hour') WHERE id = ?"
+    ).bind(id).run();
+
+    await drainOutbox(harness.env);
+
+    assert.equal((await row(id)).status, 'sent');
+  });
+
+  test('marks messages to suppressed addresses without calling SES', async () => {
+    await harness.env.DB.prepare("INSERT INTO email_suppressions (email, reason) VALUES ('cat@example.com', 'bounce')").run();
+    const { id } = await enqueueEmail(harness.env, MESSAGE, 'test');
+
+    await drainOutbox(harness.env);
+
+    assert.equal((await row(id)).status, 'suppressed');
+    assert.equal(harness.ses.requests.length, 0);
+  });
+});
+
+describe('backoffSeconds', () => {
+  test('doubles the delay per attempt within +/-20% jitter', () => {
+    for (const [attempts, base] of [[1, 60], [2, 120], [5, 960]]) {
+      const delay = backoffSeconds(attempts);
+      assert.ok(delay >= base * 0.8 && delay <= base * 1.2, `attempt ${attempts}: ${delay}s`);
+    }
+  });
+});
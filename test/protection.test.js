@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+
+import { STUB_TURNSTILE_TOKEN, checkProtection, pruneRateLimits } from '../functions/_lib/protection.js';
+import { createHarness } from '../scripts/functions-harness.js';
+
+const CONFIG = {
+  name: 'test-form',
+  honeypot: 'website',
+  minSubmitSeconds: 2,
+  turnstile: true,
+  rateLimit: { perIp: { limit: 2, windowSeconds: 60 } },
+};
+
+describe('checkProtection', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = await createHarness({ env: { TURNSTILE_VERIFIER: 'stub', RATE_LIMIT: undefined } });
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  function check(input) {
+    const request = new Request('http://localhost/api/test', { headers: { 'CF-Connecting-IP': '203.0.113.7' } });
+    return checkProtection({ request, env: harness.env }, input, CONFIG);
+  }
+
+  async function validInput(overrides = {}) {
+    return { _started: await harness.formToken('test-form'), 'cf-turnstile-response': STUB_TURNSTILE_TOKEN, ...overrides };
+  }
+
+  test('lets a valid submission through', async () => {
+    assert.equal(await check(await validInput()), null);
+  });
+
+  test('requires a Turnstile token when verification is enabled', async () => {
+    const response = await check(await validInput({ 'cf-turnstile-response': 'forged' }));
+
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).code, 'verification_failed');
+  });
+
+  test('stores rate limit counters in D1 and prunes expired ones', async () => {
+    for (let i = 0; i < 2; i++) assert.equal(await check(await validInput()), null);
+    const blocked = await check(await validInput());
+    assert.equal(blocked.status, 429);
+
+    await harness.env.DB.prepare("INSERT INTO rate_limits (key, count, expires_at) VALUES ('rl:old', 3, 1)").run();
+
+    assert.equal(await pruneRateLimits(harness.env), 1);
+    const { count } = await harness.env.DB.prepare('SELECT COUNT(*) AS count FROM rate_limits').first();
+    assert.equal(count, 1);
+  });
+});
+
+describe('GET /api/form-token', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = await createHarness({ env: { TURNSTILE_SITE_KEY: '0x4AAAAAAAexample' } });
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  test('issues a page-load token for a known form', async () => {
+    const { response, json } = await harness.invoke('functions/api/form-token.js', { url: '/api/form-token?form=cat-shelf-guide' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Cache-Control'), 'no-store');
+    assert.equal(json.turnstileSiteKey, '0x4AAAAAAAexample');
+
+    // Submitting straight away is too fast
+    const signup = await harness.invoke('functions/api/cat-shelf-guide-email.js', {
+      method: 'POST',
+      json: { email: 'cat@example.com', _started: json.token },
+    });
+    assert.equal(signup.json.code, 'too_fast');
+  });
+
+  test('answers 404 for unknown forms', async () => {
+    const { response } = await harness.invoke('functions/api/form-token.js', { url: '/api/form-token?form=other' });
+
+    assert.equal(response.status, 404);
+  });
+});
@@ -0,0 +1,239 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+import { buildStringToSign, verifySnsMessage } from '../functions/_lib/sns.js';
+import { createHarness } from '../scripts/functions-harness.js';
+
+const ENDPOINT = 'functions/api/ses-notifications.js';
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sns');
+const TOPIC_ARN = 'arn:aws:sns:us-east-2:123456789012:ses-notifications';
+
+// ============================================================================
+// Local signing certificate
+// ============================================================================
+
+function der(tag, ...parts) {
+  const content = Buffer.concat(parts.map(part => Buffer.from(part)));
+  let length;
+  if (content.length < 0x80) {
+    length = Buffer.from([content.length]);
+  } else {
+    const bytes = [];
+    for (let n = content.length; n > 0; n >>= 8) bytes.unshift(n & 0xff);
+    length = Buffer.from([0x80 | bytes.length, ...bytes]);
+  }
+  return Buffer.concat([Buffer.from([tag]), length, content]);
+}
+
+/**
+ * Self-signed X.509 certificate (PEM) for a freshly generated RSA key
+ */
+function createSigningCertificate() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  const sha256WithRsa = der(0x30, der(0x06, [0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x01, 0x0b]), der(0x05));
+  const name = der(0x30, der(0x31, der(0x30, der(0x06, [0x55, 0x04, 0x03]), der(0x0c, 'sns.test'))));
+  const tbs = der(0x30,
+    der(0xa0, der(0x02, [0x02])),
+    der(0x02, [0x01]),
+    sha256WithRsa,
+    name,
+    der(0x30, der(0x17, '250101000000Z'), der(0x17, '350101000000Z')),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' })
+  );
+  const signature = crypto.sign('sha256', tbs, privateKey);
+  const certificate = der(0x30, tbs, sha256WithRsa, der(0x03, [0x00], signature));
+
+  const base64 = certificate.toString('base64').replace(/.{1,64}/g, '$&\n');
+  return { pem: `-----BEGIN CERTIFICATE-----\n${base64}-----END CERTIFICATE-----\n`, privateKey };
+}
+
+const signing = createSigningCertificate();
+
+/**
+ * A recorded SNS payload, signed with the local key (SNS's own signature can't be checked offline)
+ */
+function signedFixture(name, changes = {}) {
+  const message = { ...JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8')), ...changes };
+  const hash = message.SignatureVersion === '2' ? 'sha256' : 'sha1';
+  message.Signature = crypto.sign(hash, Buffer.from(buildStringToSign(message)), signing.privateKey).toString('base64');
+  return message;
+}
+
+// ============================================================================
+// verifySnsMessage
+// ============================================================================
+
+describe('verifySnsMessage', () => {
+  const options = { fetchCertificate: async () => signing.pem };
+
+  test('accepts a validly signed bounce notification', async () => {
+    assert.equal(await verifySnsMessage(signedFixture('bounce-permanent.json'), options), true);
+  });
+
+  test('accepts SignatureVersion 2', async () => {
+    assert.equal(await verifySnsMessage(signedFixture('bounce-transient.json', { SignatureVersion: '2' }), options), true);
+  });
+
+  test('rejects a tampered Message', async () => {
+    const message = signedFixture('bounce-permanent.json');
+    message.Message = message.Message.replace('gone@example.com', 'someone-else@example.com');
+
+    assert.equal(await verifySnsMessage(message, options), false);
+  });
+
+  test('rejects certificates outside sns.*.amazonaws.com without downloading them', async () => {
+    const fetchCertificate = mock.fn(async () => signing.pem);
+    const message = signedFixture('bounce-permanent.json', {
+      SigningCertURL: 'https://sns.us-east-2.amazonaws.com.attacker.example/SimpleNotificationService.pem',
+    });
+
+    assert.equal(await verifySnsMessage(message, { fetchCertificate }), false);
+    assert.equal(fetchCertificate.mock.callCount(), 0);
+  });
+
+  test('honours allowCertUrl', async () => {
+    const message = signedFixture('bounce-permanent.json', { SigningCertURL: 'https://certs.test/sns.pem' });
+
+    assert.equal(await verifySnsMessage(message, options), false);
+    assert.equal(await verifySnsMessage(message, { ...options, allowCertUrl: url => url.startsWith('https://certs.test/') }), true);
+  });
+
+  test('verifies a SubscriptionConfirmation', async () => {
+    const message = signedFixture('subscription-confirmation.json');
+
+    assert.equal(await verifySnsMessage(message, options), true);
+    assert.equal(await verifySnsMessage({ ...message, Token: 'forged' }, options), false);
+  });
+});
+
+// ============================================================================
+// POST /api/ses-notifications
+// ============================================================================
+
+describe('POST /api/ses-notifications', () => {
+  let harness;
+  let fetchMock;
+
+  beforeEach(async () => {
+    harness = await createHarness({ env: { SNS_TOPIC_ARNS: TOPIC_ARN } });
+    // The endpoint downloads the signing certificate and confirms subscriptions with fetch()
+    fetchMock = mock.method(globalThis, 'fetch', async url => {
+      if (String(url).endsWith('.pem')) return new Response(signing.pem);
+      return new Response('<ConfirmSubscriptionResponse/>');
+    });
+  });
+
+  afterEach(async () => {
+    fetchMock.mock.restore();
+    await harness.close();
+  });
+
+  function post(message) {
+    return harness.invoke(ENDPOINT, {
+      method: 'POST',
+      body: JSON.stringify(message),
+      headers: { 'Content-Type': 'text/plain; charset=UTF-8' },
+    });
+  }
+
+  function subscribeCalls() {
+    return fetchMock.mock.calls.filter(call => String(call.arguments[0]).includes('Action=ConfirmSubscription'));
+  }
+
+  test('suppresses the address on a permanent bounce', async () => {
+    await harness.env.DB.prepare("INSERT INTO cat_emails (email, status) VALUES ('gone@example.com', 'confirmed')").run();
+
+    const { response } = await post(signedFixture('bounce-permanent.json'));
+
+    assert.equal(response.status, 200);
+    const suppression = await harness.env.DB.prepare('SELECT reason, detail FROM email_suppressions WHERE email = ?').bind('gone@example.com').first();
+    assert.equal(suppression.reason, 'bounce');
+    assert.match(suppression.detail, /user unknown/);
+    const row = await harness.env.DB.prepare('SELECT status, last_event FROM cat_emails WHERE email = ?').bind('gone@example.com').first();
+    assert.deepEqual(row, { status: 'bounced', last_event: 'bounce' });
+  });
+
+  test('records a transient bounce without suppressing the address', async () => {
+    await harness.env.DB.prepare("INSERT INTO cat_emails (email, status) VALUES ('full@example.com', 'confirmed')").run();
+
+    const { response } = await post(signedFixture('bounce-transient.json'));
+
+    assert.equal(response.status, 200);
+    const event = await harness.env.DB.prepare('SELECT event_type, bounce_type, bounce_subtype FROM email_events WHERE email = ?').bind('full@example.com').first();
+    assert.deepEqual(event, { event_type: 'bounce', bounce_type: 'Transient', bounce_subtype: 'MailboxFull' });
+    const suppression = await harness.env.DB.prepare('SELECT email FROM email_suppressions WHERE email = ?').bind('full@example.com').first();
+    assert.equal(suppression, null);
+    const row = await harness.env.DB.prepare('SELECT status FROM cat_emails WHERE email = ?').bind('full@example.com').first();
+    assert.equal(row.status, 'confirmed');
+  });
+
+  test('rejects a tampered Message', async () => {
+    const message = signedFixture('bounce-permanent.json');
+    message.Message = message.Message.replace('Permanent', 'Transient');
+
+    const { response } = await post(message);
+
+    assert.equal(response.status, 403);
+    const { count } = await harness.env.DB.prepare('SELECT COUNT(*) AS count FROM email_events').first();
+    assert.equal(count, 0);
+  });
+
+  test('rejects a signing certificate from the wrong host', async () => {
+    const message = signedFixture('bounce-permanent.json', { SigningCertURL: 'https://attacker.example/sns.pem' });
+
+    const { response } = await post(message);
+
+    assert.equal(response.status, 403);
+    assert.equal(fetchMock.mock.callCount(), 0);
+  });
+
+  test('confirms a subscription to an allowlisted topic', async () => {
+    const message = signedFixture('subscription-confirmation.json');
+
+    const { response } = await post(message);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(subscribeCalls().map(call => call.arguments[0]), [message.SubscribeURL]);
+  });
+
+  test('does not confirm a subscription whose SubscribeURL names another topic', async () => {
+    const fixture = signedFixture('subscription-confirmation.json');
+    const message = signedFixture('subscription-confirmation.json', {
+      SubscribeURL: fixture.SubscribeURL.replace(TOPIC_ARN, 'arn:aws:sns:us-east-2:999999999999:other'),
+    });
+
+    const { response } = await post(message);
+
+    assert.equal(response.status, 400);
+    assert.equal(subscribeCalls().length, 0);
+  });
+
+  test('refuses topics that are not on the allowlist', async () => {
+    const other = 'arn:aws:sns:us-east-2:999999999999:other';
+    const message = signedFixture('subscription-confirmation.json', {
+      TopicArn: other,
+      SubscribeURL: `https://sns.us-east-2.amazonaws.com/?Action=ConfirmSubscription&TopicArn=${other}&Token=abc`,
+    });
+
+    const { response } = await post(message);
+
+    assert.equal(response.status, 403);
+    assert.equal(subscribeCalls().length, 0);
+  });
+
+  test('refuses every message while SNS_TOPIC_ARNS is not configured', async () => {
+    harness.env.SNS_TOPIC_ARNS = '';
+
+    for (const fixture of ['subscription-confirmation.json', 'bounce-permanent.json']) {
+      const { response } = await post(signedFixture(fixture));
+      assert.equal(response.status, 503);
+    }
+    assert.equal(fetchMock.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,129 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { sendEmail, signAWSv4 } from '../functions/_lib/ses.js';
+import { startSesStub } from '../scripts/functions-harness.js';
+
+// Credentials and date shared by every case of the AWS Signature Version 4 test suite
+const SUITE = {
+  region: 'us-east-1',
+  service: 'service',
+  accessKeyId: 'AKIDEXAMPLE',
+  secretKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY',
+  now: new Date('2015-08-30T12:36:00Z'),
+};
+
+describe('signAWSv4', () => {
+  test('get-vanilla', async () => {
+    const headers = await signAWSv4({ ...SUITE, method: 'GET', url: 'https://example.amazonaws.com/' });
+
+    assert.equal(headers['X-Amz-Date'], '20150830T123600Z');
+    assert.equal(
+      headers.Authorization,
+      'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, ' +
+        'SignedHeaders=host;x-amz-date, Signature=5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31'
+    );
+  });
+
+  test('get-vanilla-query-order-key-case', async () => {
+    const headers = await signAWSv4({ ...SUITE, method: 'GET', url: 'https://example.amazonaws.com/?Param2=value2&Param1=value1' });
+
+    assert.equal(
+      headers.Authorization,
+      'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, ' +
+        'SignedHeaders=host;x-amz-date, Signature=b97d918cfa904a5beff61c982a1b6f458b799221646efd99d3219ec94cdf2500'
+    );
+  });
+
+  test('signs the session token when one is given', async () => {
+    const headers = await signAWSv4({ ...SUITE, method: 'GET', url: 'https://example.amazonaws.com/', sessionToken: 'session' });
+
+    assert.equal(headers['X-Amz-Security-Token'], 'session');
+    assert.match(headers.Authorization, /SignedHeaders=host;x-amz-date;x-amz-security-token,/);
+  });
+});
+
+describe('sendEmail', () => {
+  let ses;
+  const env = () => ({
+    AWS_ACCESS_KEY_ID: SUITE.accessKeyId,
+    AWS_SECRET_ACCESS_KEY: SUITE.secretKey,
+    SES_ENDPOINT: ses.url,
+  });
+
+  before(async () => {
+    ses = await startSesStub();
+  });
+
+  after(async () => {
+    await ses.close();
+  });
+
+  test('returns the SES message id on success', async () => {
+    const result = await sendEmail(env(), { to: 'cat@example.com', subject: 'Hello', text: 'Hi' });
+
+    assert.equal(result.ok, true);
+    assert.match(result.messageId, /^stub-/);
+    assert.equal(ses.emails.at(-1).subject, 'Hello');
+  });
+
+  test('reports SES errors without throwing', async () => {
+    ses.failNext(429, '{"message":"Maximum sending rate exceeded."}');
+
+    const result = await sendEmail(env(), { to: 'cat@example.com', subject: 'Hello', text: 'Hi' });
+
+    assert.equal(result.ok, false);
+    assert.equal(result.status, 429);
+    assert.match(result.error, /Maximum sending rate/);
+  });
+});
+
+describe('SES stub signature check', () => {
+  let ses;
+
+  before(async () => {
+    ses = await startSesStub();
+  });
+
+  after(async () => {
+    await ses.close();
+  });
+
+  test('rejects requests signed with the wrong secret', async () => {
+    const env = { AWS_ACCESS_KEY_ID: SUITE.accessKeyId, AWS_SECRET_ACCESS_KEY: 'not-the-secret', SES_ENDPOINT: ses.url };
+
+    const result = await sendEmail(env, { to: 'cat@example.com', subject: 'Hello', text: 'Hi' });
+
+    assert.equal(result.ok, false);
+    assert.equal(result.status, 403);
+    assert.match(result.error, /signature does not match/);
+    assert.equal(ses.emails.length, 0);
+  });
+
+  test('rejects a body changed after signing', async () => {
+    const url = `${ses.url}/v2/email/outbound-emails`;
+    const headers = { 'content-type': 'application/json' };
+    const signed = await signAWSv4({ ...SUITE, now: new Date(), method: 'POST', url, headers, body: '{"a":1}' });
+
+    const response = await fetch(url, { method: 'POST', headers: { ...headers, ...signed }, body: '{"a":2}' });
+
+    assert.equal(response.status, 403);
+    assert.match(ses.requests.at(-1).signatureError, /signature does not match/);
+  });
+
+  test('rejects unsigned requests', async () => {
+    const response = await fetch(`${ses.url}/v2/email/outbound-emails`, { method: 'POST', body: '{}' });
+
+    assert.equal(response.status, 403);
+    assert.match(ses.requests.at(-1).signatureError, /Authorization header/);
+  });
+
+  test('accepts requests signed with the expected credentials', async () => {
+    const env = { AWS_ACCESS_KEY_ID: SUITE.accessKeyId, AWS_SECRET_ACCESS_KEY: SUITE.secretKey, AWS_SESSION_TOKEN: 'session', SES_ENDPOINT: ses.url };
+
+    const result = await sendEmail(env, { to: 'cat@example.com', subject: 'Signed', text: 'Hi' });
+
+    assert.equal(result.ok, true);
+    assert.equal(ses.emails.at(-1).subject, 'Signed');
+  });
+});
@@ -0,0 +1,167 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { describe, test } from 'node:test';
+
+import { parseWithLines, validateLinks } from '../scripts/validate-amazon-links.js';
+
+const schema = JSON.parse(fs.readFileSync(new URL('../amazonLinks.schema.json', import.meta.url), 'utf8'));
+
+function validate(links) {
+  return validateLinks(JSON.stringify(links, null, 2), { schema });
+}
+
+const TAGGED_US = { host: 'www.amazon.com', tag: 'outdoorsavann-20', countries: ['US'] };
+
+describe('validateLinks marketplaces', () => {
+  test('warns about a non-default marketplace without a tag even when nothing links to it yet', () => {
+    const issues = validate({ _marketplaces: { com: TAGGED_US, 'co.uk': { host: 'www.amazon.co.uk', countries: ['GB', 'IE'] } } });
+
+    assert.deepEqual(issues.map(({ severity, message }) => ({ severity, message })), [
+      { severity: 'warning', message: 'Marketplace "co.uk" (GB, IE) has no associate tag, so visitors there get the default amazon.com links' },
+    ]);
+  });
+
+  test('does not ask the default marketplace for a second tag', () => {
+    const issues = validate({ _marketplaces: { com: { host: 'www.amazon.com', countries: ['US'] } } });
+
+    assert.deepEqual(issues, []);
+  });
+
+  test('accepts tagged marketplaces', () => {
+    const issues = validate({ _marketplaces: { com: TAGGED_US, de: { host: 'www.amazon.de', tag: 'outdoorsavann-21', countries: ['DE'] } } });
+
+    assert.deepEqual(issues, []);
+  });
+
+  test('rejects local links to a marketplace without a tag', () => {
+    const text = fs.readFileSync(new URL('./fixtures/amazon-links/local-links.json', import.meta.url), 'utf8');
+
+    const issues = validateLinks(text, { schema }).filter(issue => /Marketplace/.test(issue.message));
+
+    assert.deepEqual(issues, [
+      { line: 6, severity: 'warning', message: 'Marketplace "de" (DE, AT, CH) has no associate tag, so visitors there get the default amazon.com links' },
+      { line: 16, severity: 'error', message: 'Marketplace "de" has no associate tag, so "product/leash → amazon" in de is never used' },
+    ]);
+  });
+
+  test('the committed link map has no errors', () => {
+    const text = fs.readFileSync(new URL('../amazonLinks.json', import.meta.url), 'utf8');
+
+    assert.deepEqual(validateLinks(text, { schema }).filter(issue => issue.severity === 'error'), []);
+  });
+});
+
+const IOS = 'com.amazon.mobile.shopping.web://amazon.com/dp/B07DDK9M6M?tag=outdoorsavann-20';
+const INTENT = 'intent://www.amazon.com/dp/B07DDK9M6M?tag=outdoorsavann-20#Intent;scheme=https;package=com.amazon.mShop.android.shopping;end';
+
+// Issues as "line: severity: message" for compact assertions
+function check(text) {
+  return validateLinks(text, { schema }).map(({ line, severity, message }) => `${line}: ${severity}: ${message}`);
+}
+
+describe('parseWithLines', () => {
+  test('records the line of every key and each duplicate', () => {
+    const { value, lines, duplicates } = parseWithLines('{\n  "a": {\n    "b": 1,\n    "b": 2\n  }\n}');
+
+    assert.deepEqual(value, { a: { b: 2 } });
+    assert.equal(lines.get('a'), 2);
+    assert.equal(lines.get('a\u0000b'), 3);
+    assert.deepEqual(duplicates, [{ path: ['a', 'b'], line: 4, firstLine: 3 }]);
+  });
+
+  test('reports the line of a syntax error', () => {
+    assert.throws(() => parseWithLines('{\n  "a": 1\n  "b": 2\n}'), /Expected , or \} at line 3/);
+  });
+});
+
+describe('validateLinks', () => {
+  test('reports duplicate keys that JSON.parse would drop, with both lines', () => {
+    const text = `{
+  "product/leash": {
+    "amazon": "https://amzn.to/3N3Z2Az",
+    "amazon_deeplink_ios": "${IOS}",
+    "amazon_deeplink_android": "${INTENT}",
+    "amazon": "https://amzn.to/other"
+  }
+}`;
+
+    assert.deepEqual(check(text), ['6: error: Duplicate key "product/leash → amazon" (first defined on line 3)']);
+  });
+
+  test('reports invalid JSON with its line', () => {
+    assert.deepEqual(check('{\n  "product/leash": {\n    "amazon": "https://amzn.to/3N3Z2Az",\n  }\n}'), [
+      '4: error: Invalid JSON: Expected a key at line 4',
+    ]);
+  });
+
+  test('accepts a well-formed intent:// link and warns about other Android links', () => {
+    const links = {
+      'product/leash': { amazon: 'https://amzn.to/3N3Z2Az', amazon_deeplink_ios: IOS, amazon_deeplink_android: INTENT },
+      'product/harness': { amazon: 'https://amzn.to/3Fvh9wc', amazon_deeplink_ios: IOS, amazon_deeplink_android: IOS },
+    };
+
+    assert.deepEqual(check(JSON.stringify(links, null, 2)), [
+      '10: warning: Android deep link "product/harness → amazon_deeplink_android" is not an intent:// URL',
+    ]);
+  });
+
+  test('rejects malformed intent:// links', () => {
+    for (const intent of [
+      // No package, no end, no host
+      'intent://www.amazon.com/dp/B07DDK9M6M#Intent;scheme=https;end',
+      'intent://www.amazon.com/dp/B07DDK9M6M#Intent;scheme=https;package=com.amazon.mShop.android.shopping',
+      'intent://#Intent;package=com.amazon.mShop.android.shopping;end',
+    ]) {
+      const text = JSON.stringify({ 'product/leash': { amazon: 'https://amzn.to/3N3Z2Az', amazon_deeplink_ios: IOS, amazon_deeplink_android: intent } }, null, 2);
+
+      assert.ok(check(text).includes(
+        '5: error: Malformed intent:// URL for "product/leash → amazon_deeplink_android" (expected intent://...#Intent;...;package=<app>;...;end)'
+      ), intent);
+    }
+  });
+
+  test('reports product keys without a page and deep links without a variant', () => {
+    const text = `{
+  "product/not-a-product": {
+    "amazon": "https://amzn.to/3N3Z2Az",
+    "amazon_deeplink_ios": "${IOS}",
+    "amazon_deeplink_android": "${INTENT}"
+  },
+  "product/leash": {
+    "amazon": "https://amzn.to/3N3Z2Az",
+    "amazon_deeplink_ios": "${IOS}",
+    "amazon_deeplink_android": "${INTENT}",
+    "aliexpress_deeplink_ios": "aliexpress://product/detail?productId=1005006000000000"
+  }
+}`;
+
+    assert.deepEqual(check(text), [
+      '2: error: Orphaned product key "product/not-a-product": no product/ directory or known page',
+      '11: error: Orphaned deep link "product/leash → aliexpress_deeplink_ios": there is no "aliexpress" variant',
+    ]);
+  });
+
+  test('reports variants missing a platform deep link', () => {
+    const text = `{
+  "product/leash": {
+    "amazon": "https://amzn.to/3N3Z2Az",
+    "amazon_deeplink_ios": "${IOS}",
+    "aliexpress": "https://www.aliexpress.com/item/1005006000000000.html"
+  }
+}`;
+
+    assert.deepEqual(check(text), [
+      '3: error: Variant "product/leash → amazon" is missing "amazon_deeplink_android"',
+      '5: error: Variant "product/leash → aliexpress" is missing "aliexpress_deeplink_ios"',
+      '5: error: Variant "product/leash → aliexpress" is missing "aliexpress_deeplink_android"',
+    ]);
+  });
+
+  test('requires our associate tag on full Amazon URLs', () => {
+    const text = JSON.stringify({
+      'product/leash': { amazon: 'https://www.amazon.com/dp/B07DDK9M6M?tag=someone-else-20', amazon_deeplink_ios: IOS, amazon_deeplink_android: INTENT },
+    }, null, 2);
+
+    assert.deepEqual(check(text), ['3: error: Amazon URL for "product/leash → amazon" is missing the associate tag outdoorsavann-20']);
+  });
+});
@@ -0,0 +1,38 @@
+// index.js
+// Cloudflare Worker (cron trigger) that drains the email outbox
+//
+// Pages Functions can't run on a schedule, so this small Worker retries queued emails that could not be
+// sent right after the request (SES throttling, network errors). It shares the outbox code with the site.
+// Each run also deletes expired rate limit counters from D1.
+//
+// wrangler.toml (deployed separately from the Pages project):
+//   name = "email-outbox"
+//   main = "workers/email-outbox/index.js"
+//   [triggers]
+//   crons = ["*/5 * * * *"]
+//   [[d1_databases]]
+//   binding = "DB"   # same database as the Pages project
+// Secrets: AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY (and optionally SES_REGION, SES_FROM)
+
+import { drainOutbox } from "../../functions/_lib/outbox.js";
+import { pruneRateLimits } from "../../functions/_lib/protection.js";
+
+// Upper bound per run so a large backlog can't exceed the Worker's subrequest limit
+const MAX_BATCHES = 4;
+
+export default {
+  async scheduled(controller, env, ctx) {
+    ctx.waitUntil((async () => {
+      const totals = { sent: 0, retry: 0, dead: 0, skipped: 0 };
+      for (let i = 0; i < MAX_BATCHES; i++) {
+        const counts = await drainOutbox(env);
+        for (const key of Object.keys(totals)) totals[key] += counts[key];
+        if (counts.sent + counts.retry + counts.dead + counts.skipped === 0) break;
+      }
+      console.log(`Email outbox drained (${controller.cron}):`, JSON.stringify(totals));
+
+      const pruned = await pruneRateLimits(env);
+      if (pruned) console.log(`Pruned ${pruned} expired rate limit counter(s)`);
+    })());
+  },
+};